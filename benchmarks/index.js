@@ -177,6 +177,83 @@ if (durationMs > 0) {
 }
 
 
+// --- Benchmark Batch Operations (Local Only) ---
+console.log('\n--- Benchmarking Batch Operations (Local Sketch Only) ---');
+const batchKeys = new Array(NUM_UPDATES);
+for (let i = 0; i < NUM_UPDATES; i++) {
+    batchKeys[i] = (Math.random() < 0.1 && keys.length > 10) ? keys[i % 10] : keys[i % keys.length];
+}
+
+// updateMany
+const localBatchSketch = LocalSketch.createEstimate(SKETCH_EPSILON, SKETCH_DELTA);
+startTime = Date.now();
+localBatchSketch.updateMany(batchKeys);
+endTime = Date.now();
+durationMs = endTime - startTime;
+console.log(`Local: Performed ${NUM_UPDATES} updates with updateMany in ${durationMs}ms.`);
+if (durationMs > 0) {
+    opsPerSecond = (NUM_UPDATES / durationMs) * 1000;
+    console.log(`Local updateMany Performance: Approximately ${opsPerSecond.toFixed(2)} updates/second.`);
+} else {
+    console.log('Local updateMany benchmark finished too quickly to measure performance.');
+}
+
+// queryMany
+const queryBatchKeys = batchKeys.slice(0, NUM_QUERIES);
+const queryBatchOut = new Uint32Array(NUM_QUERIES);
+startTime = Date.now();
+localBatchSketch.queryMany(queryBatchKeys, queryBatchOut);
+endTime = Date.now();
+durationMs = endTime - startTime;
+const queriedSumBatch = queryBatchOut.reduce((sum, value) => sum + value, 0);
+console.log(`Local: Performed ${NUM_QUERIES} queries with queryMany in ${durationMs}ms. (Queried sum: ${queriedSumBatch})`);
+if (durationMs > 0) {
+    opsPerSecond = (NUM_QUERIES / durationMs) * 1000;
+    console.log(`Local queryMany Performance: Approximately ${opsPerSecond.toFixed(2)} queries/second.`);
+} else {
+    console.log('Local queryMany benchmark finished too quickly to measure performance.');
+}
+
+
+// --- Benchmark Double Hashing (Local Only) ---
+// Per-row hashing runs the hash over the key once per row, double hashing only twice,
+// so the gap should widen as keys get longer.
+console.log('\n--- Benchmarking Double Hashing vs Per-Row Hashing (Local Sketch Only) ---');
+const DOUBLE_HASHING_KEY_LENGTHS = [8, 32, 128, 512];
+const DOUBLE_HASHING_UPDATES = NUM_UPDATES / 4;
+
+for (const keyLength of DOUBLE_HASHING_KEY_LENGTHS) {
+    const lengthKeys = new Array(1000);
+    for (let i = 0; i < lengthKeys.length; i++) {
+        lengthKeys[i] = crypto.randomBytes(Math.ceil(keyLength / 2)).toString('hex').slice(0, keyLength);
+    }
+
+    for (const doubleHashing of [false, true]) {
+        const label = doubleHashing ? 'Double hashing' : 'Per-row hashing';
+        const sketch = LocalSketch.createEstimate(SKETCH_EPSILON, SKETCH_DELTA, { doubleHashing });
+
+        startTime = Date.now();
+        for (let i = 0; i < DOUBLE_HASHING_UPDATES; i++) {
+            sketch.update(lengthKeys[i % lengthKeys.length], 1);
+        }
+        endTime = Date.now();
+        durationMs = endTime - startTime;
+        opsPerSecond = durationMs > 0 ? ((DOUBLE_HASHING_UPDATES / durationMs) * 1000).toFixed(2) : 'n/a';
+        console.log(`${label} (key length ${keyLength}): Performed ${DOUBLE_HASHING_UPDATES} updates in ${durationMs}ms (~${opsPerSecond} updates/second).`);
+
+        startTime = Date.now();
+        let queriedSum = 0;
+        for (let i = 0; i < NUM_QUERIES; i++) {
+            queriedSum += sketch.query(lengthKeys[i % lengthKeys.length]);
+        }
+        endTime = Date.now();
+        durationMs = endTime - startTime;
+        opsPerSecond = durationMs > 0 ? ((NUM_QUERIES / durationMs) * 1000).toFixed(2) : 'n/a';
+        console.log(`${label} (key length ${keyLength}): Performed ${NUM_QUERIES} queries in ${durationMs}ms (~${opsPerSecond} queries/second). (Queried sum: ${queriedSum})`);
+    }
+}
+
+
 // --- Benchmark Merge Operations (Example - Local Only) ---
 // The external library's documentation does not specify a merge operation.
 console.log('\n--- Benchmarking Merge Operations (Local Sketch Only) ---');
@@ -1,49 +1,215 @@
+import { resolveHash, resolveSerializedHash, populateHashes } from './src/hash.js';
+import { resolveWidth, resolveSeeds, isSequentialSeeds, notifyAdjust, MAX_TABLE_LENGTH } from './src/util.js';
+
 /**
- * Basic 32-bit FNV-1a hash function for strings.
- * @param {string} str The string to hash.
- * @param {number} seed A seed value to alter the hash output.
- * @returns {number} A 32-bit integer hash.
+ * Applies a conservative update: each row's counter is raised to at most
+ * `min + count`, where `min` is the current estimate for the key.
+ * Works for both number and bigint counters.
+ * @param {Uint32Array|Uint16Array|Uint8Array|Float64Array|BigUint64Array} table The sketch table.
+ * @param {Uint32Array} hashes The key's hash values, one per row.
+ * @param {number} width The width of the sketch (a power of 2).
+ * @param {number} depth The number of rows.
+ * @param {number|bigint} count The amount to increment the count by.
+ * @param {number|bigint} maxCount The value counters saturate at.
  */
-function hashStringFNV1a(str, seed = 0) {
-  let hash = 2166136261; // FNV offset basis
-  const len = str.length;
-  hash ^= seed;
+function applyConservativeUpdate(table, hashes, width, depth, count, maxCount) {
+    const bitmask = width - 1;
+    let minCount = table[hashes[0] & bitmask];
+    for (let i = 1; i < depth; ++i) {
+        const counter = table[(hashes[i] & bitmask) + (i * width)];
+        if (counter < minCount) minCount = counter;
+    }
+    let target = minCount + count;
+    if (target > maxCount) target = maxCount;
+    for (let i = 0; i < depth; ++i) {
+        const index = (hashes[i] & bitmask) + (i * width);
+        if (table[index] < target) {
+            table[index] = target;
+        }
+    }
+}
 
-  for (var i = 0; i < len; i++) {
-      hash = Math.imul(hash ^ str.charCodeAt(i), 16777619); // FNV prime
-  }
-  return hash >>> 0;
+/**
+ * Adds `count` to each of the key's counters with `Atomics.add`, so several
+ * workers can update one shared table. A counter that overflows is reset to
+ * `maxCount`; until then, concurrent readers may observe the wrapped value.
+ * @param {Uint32Array|Uint16Array|Uint8Array|BigUint64Array} table The shared sketch table.
+ * @param {Uint32Array} hashes The key's hash values, one per row.
+ * @param {number} width The width of the sketch (a power of 2).
+ * @param {number} depth The number of rows.
+ * @param {number|bigint} count The amount to increment the count by.
+ * @param {number|bigint} maxCount The value counters saturate at.
+ */
+function applySharedUpdate(table, hashes, width, depth, count, maxCount) {
+    const bitmask = width - 1;
+    for (let i = 0; i < depth; ++i) {
+        const index = (hashes[i] & bitmask) + (i * width);
+        const previous = Atomics.add(table, index, count);
+        if (previous + count > maxCount) {
+            Atomics.store(table, index, maxCount);
+        }
+    }
 }
 
+/**
+ * Replaces a shared counter with `transform(counter)` using
+ * `Atomics.compareExchange`, retrying until no other thread changed the
+ * counter in between, so concurrent `Atomics.add` updates are not lost.
+ * @param {Uint32Array|Uint16Array|Uint8Array|BigUint64Array} table The shared array.
+ * @param {number} index The counter to replace.
+ * @param {(value: number|bigint) => number|bigint} transform Computes the new value from the current one.
+ */
+function transformShared(table, index, transform) {
+    let previous = Atomics.load(table, index);
+    for (;;) {
+        const actual = Atomics.compareExchange(table, index, previous, transform(previous));
+        if (actual === previous) return;
+        previous = actual;
+    }
+}
 
 /**
- * Generates multiple hash values for a key and stores them in a pre-allocated array.
- * @param {string} key The key to hash.
- * @param {number} depth The number of hash values to generate (number of rows).
- * @param {number[]} seeds Pre-generated seeds for each hash function.
- * @param {Uint32Array} outHashes Pre-allocated array to store the hash values.
+ * Checks that two sketches share dimensions, update mode, hashing, counter
+ * type and seeds, so that their tables can be combined counter by counter.
+ * @param {CountMinSketch} a
+ * @param {CountMinSketch} b
+ * @param {string} action What is being attempted, used in error messages (e.g. 'merge').
+ * @throws {Error} If the sketches are incompatible.
  */
-function populateHashes(key, depth, seeds, outHashes) {
-    for (let i = 0; i < depth; ++i) {
-        outHashes[i] = hashStringFNV1a(key, seeds[i]);
+function assertCompatible(a, b, action) {
+    if (a.width !== b.width || a.depth !== b.depth) {
+        throw new Error(`Cannot ${action} sketches with different dimensions`);
+    }
+    if (a.conservative !== b.conservative) {
+        throw new Error(`Cannot ${action} sketches with different update modes`);
+    }
+    if (a.hash !== b.hash || a.hashKey !== b.hashKey || a.doubleHashing !== b.doubleHashing) {
+        throw new Error(`Cannot ${action} sketches with different hash functions`);
+    }
+    if (a.counterType !== b.counterType) {
+        throw new Error(`Cannot ${action} sketches with different counter types`);
+    }
+    if (a.seeds.some((seed, i) => seed !== b.seeds[i])) {
+        throw new Error(`Cannot ${action} sketches with different seeds`);
     }
 }
 
 /**
- * Finds the next power of 2 greater than or equal to n.
- * @param {number} n
+ * Relative change from `baseline` to `current`. A key that was absent from
+ * the baseline has changed infinitely, unless it is still absent.
+ * @param {number} current
+ * @param {number} baseline
  * @returns {number}
  */
-function nextPowerOf2(n) {
-  if (n <= 0) return 1;
-  n--;
-  n |= n >> 1;
-  n |= n >> 2;
-  n |= n >> 4;
-  n |= n >> 8;
-  n |= n >> 16;
-  n++;
-  return n;
+function relativeChangeOf(current, baseline) {
+    if (baseline === 0) {
+        return current === 0 ? 0 : Infinity;
+    }
+    return (current - baseline) / baseline;
+}
+
+/**
+ * Supported counter types. Integer counters saturate at `max` instead of
+ * wrapping, so an overflowing heavy hitter never turns into a tiny estimate.
+ * `id` is the counter encoding stored in the binary format.
+ */
+const COUNTER_TYPES = {
+    uint8: { ArrayType: Uint8Array, max: 0xff, bytes: 1, id: 0, get: 'getUint8', set: 'setUint8' },
+    uint16: { ArrayType: Uint16Array, max: 0xffff, bytes: 2, id: 0, get: 'getUint16', set: 'setUint16' },
+    uint32: { ArrayType: Uint32Array, max: 0xffffffff, bytes: 4, id: 0, get: 'getUint32', set: 'setUint32' },
+    float64: { ArrayType: Float64Array, max: Infinity, bytes: 8, id: 1, get: 'getFloat64', set: 'setFloat64' },
+    biguint64: { ArrayType: BigUint64Array, max: 0xffffffffffffffffn, bytes: 8, id: 0, get: 'getBigUint64', set: 'setBigUint64' }
+};
+
+/**
+ * Looks up a counter type by name.
+ * @param {string} [counterType='uint32']
+ * @returns {{ArrayType: Function, max: number|bigint, bytes: number, id: number, get: string, set: string}}
+ * @throws {Error} If the counter type is unknown.
+ */
+function resolveCounterType(counterType = 'uint32') {
+    if (!Object.prototype.hasOwnProperty.call(COUNTER_TYPES, counterType)) {
+        throw new Error(`Unknown counter type: ${counterType}. Expected one of ${Object.keys(COUNTER_TYPES).join(', ')}`);
+    }
+    return COUNTER_TYPES[counterType];
+}
+
+// --- Shared tables ---
+// A shared buffer holds the running total N as a u64 at offset 0, followed by
+// the counters in the native byte order of the platform.
+const SHARED_HEADER_SIZE = 8;
+
+// --- Binary format ---
+// Header layout (little-endian):
+//   0  magic 'CMSK'         4 bytes
+//   4  format version       u8
+//   5  flags                u8  (bit 0: conservative, bit 1: sparse payload, bit 2: double hashing)
+//   6  hash function id     u8
+//   7  seed scheme id       u8  (0: seeds are 0..depth-1, 1: explicit seeds follow the header)
+//   8  counter width        u8  (bytes per counter)
+//   9  counter encoding     u8  (0: unsigned integer, 1: IEEE 754 float)
+//  10  reserved             2 bytes (zero)
+//  12  width                u32
+//  16  depth                u32
+//  20  totalCount           f64
+//  28  payload length       u32 (bytes)
+//  32  seeds                depth x u32, only with seed scheme 1
+//  ..  payload: raw counters (dense) or (varint gap, value) pairs (sparse), where
+//      value is a varint for integer counters and a raw f64 for float counters
+const BINARY_MAGIC = [0x43, 0x4d, 0x53, 0x4b]; // 'CMSK'
+const BINARY_VERSION = 1;
+const BINARY_HEADER_SIZE = 32;
+const FLAG_CONSERVATIVE = 1;
+const FLAG_SPARSE = 2;
+const FLAG_DOUBLE_HASHING = 4;
+const HASH_IDS = { fnv1a: 0, murmur3: 1, xxhash32: 2, custom: 255 };
+const SEEDS_SEQUENTIAL = 0;
+const SEEDS_EXPLICIT = 1;
+
+/**
+ * Writes an unsigned LEB128 varint.
+ * @param {number[]} out Byte array to append to.
+ * @param {number|bigint} value A non-negative integer (numbers up to 2^53 - 1).
+ */
+function writeVarint(out, value) {
+    if (typeof value === 'bigint') {
+        while (value >= 0x80n) {
+            out.push(Number(value & 0x7fn) | 0x80);
+            value >>= 7n;
+        }
+        out.push(Number(value));
+        return;
+    }
+    while (value >= 0x80) {
+        out.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    out.push(value);
+}
+
+/**
+ * Reads an unsigned LEB128 varint.
+ * @param {Uint8Array} bytes The bytes to read from.
+ * @param {{offset: number}} cursor Read position, advanced past the varint.
+ * @param {number} end Offset the varint must not run past.
+ * @param {boolean} [big=false] Read up to 64 bits into a bigint instead of up to 35 bits into a number.
+ * @returns {number|bigint}
+ * @throws {Error} If the varint is truncated or too long.
+ */
+function readVarint(bytes, cursor, end, big = false) {
+    let value = big ? 0n : 0;
+    let multiplier = big ? 1n : 1;
+    const maxShift = big ? 70 : 35;
+    for (let shift = 0; shift < maxShift; shift += 7) {
+        if (cursor.offset >= end) {
+            throw new Error('Invalid CountMinSketch buffer: truncated sparse payload');
+        }
+        const byte = bytes[cursor.offset++];
+        value += big ? BigInt(byte & 0x7f) * multiplier : (byte & 0x7f) * multiplier;
+        if ((byte & 0x80) === 0) return value;
+        multiplier *= big ? 0x80n : 0x80;
+    }
+    throw new Error('Invalid CountMinSketch buffer: malformed varint in sparse payload');
 }
 
 /**
@@ -55,28 +221,78 @@ export class CountMinSketch {
   table;
   seeds; // Seeds for hash functions
   scratchHashes; // Pre-allocated array for hash values
+  conservative; // Whether updates use conservative update
+  totalCount; // Running total N of all counts added
+  hash; // Name of the hash function ('fnv1a', 'murmur3', 'xxhash32' or 'custom')
+  hashKey; // Hash function used for keys
+  doubleHashing; // Whether row indices are derived from two base hashes
+  counterType; // Name of the counter type ('uint8', 'uint16', 'uint32', 'float64' or 'biguint64')
+  maxCount; // Value counters saturate at
+  buffer; // SharedArrayBuffer backing the table, or null
+  sharedTotal; // View of the running total in `buffer`, or null
 
   /**
    * Creates a Count-Min Sketch.
    * @param {number} width - The width of the sketch table (number of counters per row).
    * @param {number} depth - The depth of the sketch table (number of hash functions/rows).
+   * @param {object} [options]
+   * @param {boolean} [options.conservative=false] - Use conservative update: each row is only raised to `min + count`.
+   * @param {string|Function} [options.hash='fnv1a'] - 'fnv1a', 'murmur3', 'xxhash32' or a `(key, seed) => uint32` function.
+   * @param {boolean} [options.doubleHashing=false] - Hash each key twice and derive every row index from those two hashes.
+   * @param {string} [options.counterType='uint32'] - 'uint8', 'uint16', 'uint32', 'float64' or 'biguint64'.
+   * @param {boolean} [options.strict=false] - Throw instead of rounding a width that is not a power of 2.
+   * @param {Function} [options.onAdjust] - Called with `{ requestedWidth, width }` when the width is rounded up.
+   * @param {Function} [options.logger] - Called with a message when the width is rounded up.
+   * @param {number|string} [options.seed] - Derive every row's hash seed from this unsigned 32-bit integer,
+   *   or pass 'random' for cryptographically secure random seeds.
+   * @param {number[]} [options.seeds] - One unsigned 32-bit hash seed per row (defaults to `0..depth-1`).
+   * @param {SharedArrayBuffer} [options.buffer] - Back the table and running total with this buffer, of at least
+   *   `CountMinSketch.sharedByteLength(width, depth, counterType)` bytes. Its contents are used as-is.
+   * @throws {Error} If the dimensions are invalid, the width is not a power of 2 in strict mode, or the shared buffer is unusable.
    */
-  constructor(width, depth) {
-      if (width <= 0 || depth <= 0) {
-          throw new Error('Width and depth must be positive integers');
-      }
-      this.width = nextPowerOf2(width | 0);
-      this.depth = depth | 0;
-      if (this.width !== width) {
-            console.log(`Adjusted sketch width from ${width} to next power of 2: ${this.width}`);
-      }
-      this.table = new Uint32Array(this.width * this.depth);
+  constructor(width, depth, options = {}) {
+      this.width = resolveWidth(width, depth, options);
+      this.depth = depth;
+      const counters = resolveCounterType(options.counterType);
+      this.counterType = options.counterType || 'uint32';
+      this.maxCount = counters.max;
       this.scratchHashes = new Uint32Array(this.depth); // Initialize scratchHashes
-
-      this.seeds = new Array(this.depth);
-      for (let i = 0; i < this.depth; i++) {
-          this.seeds[i] = i; // Simple integer seeds are fine as they modify the string
+      this.conservative = !!options.conservative;
+      if (options.buffer === undefined) {
+          this.buffer = null;
+          this.sharedTotal = null;
+          this.table = new counters.ArrayType(this.width * this.depth);
+          this.totalCount = 0;
+      } else {
+          if (!(options.buffer instanceof SharedArrayBuffer)) {
+              throw new Error('Shared tables require a SharedArrayBuffer');
+          }
+          if (counters.id !== 0) {
+              throw new Error(`Shared tables require an integer counter type, got '${this.counterType}'`);
+          }
+          if (this.conservative) {
+              throw new Error('Conservative update is not supported on shared tables');
+          }
+          const byteLength = SHARED_HEADER_SIZE + this.width * this.depth * counters.bytes;
+          if (options.buffer.byteLength < byteLength) {
+              throw new Error(`Shared buffer too small: expected at least ${byteLength} bytes, got ${options.buffer.byteLength}`);
+          }
+          this.buffer = options.buffer;
+          this.sharedTotal = new BigUint64Array(options.buffer, 0, 1);
+          this.table = new counters.ArrayType(options.buffer, SHARED_HEADER_SIZE, this.width * this.depth);
+          const sharedTotal = this.sharedTotal;
+          Object.defineProperty(this, 'totalCount', {
+              enumerable: true,
+              get: () => Number(Atomics.load(sharedTotal, 0)),
+              set: (value) => { Atomics.store(sharedTotal, 0, BigInt(value)); }
+          });
       }
+      const { name, hashKey } = resolveHash(options.hash);
+      this.hash = name;
+      this.hashKey = hashKey;
+      this.doubleHashing = !!options.doubleHashing;
+
+      this.seeds = resolveSeeds(this.depth, options);
   }
 
   /**
@@ -85,59 +301,154 @@ export class CountMinSketch {
    * depth = ceil(ln(1 / delta))
    * @param {number} epsilon - Maximum error rate (e.g., 0.01 for 1%).
    * @param {number} delta - Probability of exceeding the error rate (e.g., 0.01 for 1%).
+   * @param {object} [options] - Passed through to the constructor.
    * @returns {CountMinSketch}
    */
-  static createEstimate(epsilon, delta) {
+  static createEstimate(epsilon, delta, options = {}) {
       if (epsilon <= 0 || epsilon >= 1 || delta <= 0 || delta >= 1) {
           throw new Error('Epsilon and delta must be between 0 and 1 (exclusive)');
       }
       const calculatedWidth = Math.ceil(Math.E / epsilon); // approx 2.718 / epsilon
-      const width = nextPowerOf2(calculatedWidth);
       const depth = Math.ceil(Math.log(1 / delta)); 
-      console.log(`Creating sketch with estimated width=${calculatedWidth} (adjusted to ${width}), depth=${depth} for epsilon=${epsilon}, delta=${delta}`);
-      return new CountMinSketch(width, depth);
+      const width = resolveWidth(calculatedWidth, depth);
+      if (calculatedWidth !== width) {
+          notifyAdjust(calculatedWidth, width, options, `Creating sketch with estimated width=${calculatedWidth} (adjusted to ${width}), depth=${depth} for epsilon=${epsilon}, delta=${delta}`);
+      }
+      return new CountMinSketch(width, depth, options);
+  }
+
+  /**
+   * Number of bytes a SharedArrayBuffer needs to back a shared sketch:
+   * an 8-byte running total followed by the table.
+   * @param {number} width - The width of the sketch (rounded up to a power of 2).
+   * @param {number} depth - The depth of the sketch.
+   * @param {string} [counterType='uint32'] - The counter type.
+   * @returns {number}
+   */
+  static sharedByteLength(width, depth, counterType = 'uint32') {
+      return SHARED_HEADER_SIZE + resolveWidth(width, depth) * depth * resolveCounterType(counterType).bytes;
+  }
+
+  /**
+   * Creates a view of a shared sketch built in another thread, e.g. a worker
+   * that received `buffer` and `sketch.toMeta()` through `workerData`.
+   * Updates through any view are visible to all of them.
+   * @param {SharedArrayBuffer} buffer - The shared sketch's `buffer`.
+   * @param {{width: number, depth: number, hash?: string, doubleHashing?: boolean, counterType?: string, seeds?: number[]}} meta - The shared sketch's `toMeta()`.
+   * @param {object} [options]
+   * @param {Function} [options.hash] - The hash function, required when the sketch was built with a custom one.
+   * @returns {CountMinSketch}
+   * @throws {Error} If meta is invalid, its hash function is unavailable, or the buffer is unusable.
+   */
+  static attach(buffer, meta, options = {}) {
+      if (!meta || typeof meta !== 'object' || !meta.width || !meta.depth) {
+          throw new Error('Invalid meta format for CountMinSketch attachment');
+      }
+      return new CountMinSketch(meta.width, meta.depth, {
+          hash: resolveSerializedHash(meta.hash || 'fnv1a', options.hash),
+          doubleHashing: !!meta.doubleHashing,
+          counterType: meta.counterType,
+          seeds: meta.seeds,
+          buffer
+      });
+  }
+
+  /**
+   * Error rate guaranteed by the sketch's actual width: e / width.
+   * Sketches built with `createEstimate` are rounded up to a power of 2 width,
+   * so this is at most the requested epsilon.
+   * @returns {number}
+   */
+  get epsilon() {
+      return Math.E / this.width;
   }
 
+  /**
+   * Probability of exceeding `epsilon * totalCount`, given the actual depth: e^-depth.
+   * @returns {number}
+   */
+  get delta() {
+      return Math.exp(-this.depth);
+  }
 
   /**
    * Updates the frequency count for a given key.
-   * @param {string} key - The key to update.
-   * @param {number} [count=1] - The amount to increment the count by.
+   * Counters saturate at `maxCount` rather than wrapping around.
+   * Shared tables are updated with `Atomics`, so workers can update one table concurrently.
+   * @param {string|number|Uint8Array} key - The key to update.
+   * @param {number} [count=1] - The amount to increment the count by (an integer unless counters are 'float64').
+   * @throws {Error} If `count` is not an integer and counters are not 'float64'. Nothing is changed in that case.
    */
   update(key, count = 1) {
       if (count <= 0) return; // Only increment
-      populateHashes(key, this.depth, this.seeds, this.scratchHashes); // Use populateHashes
+      if (this.buffer === null && this.counterType !== 'float64' && !Number.isInteger(count)) {
+          throw new Error(`Counts must be integers for '${this.counterType}' counters, got ${count}`);
+      }
+      populateHashes(key, this.depth, this.seeds, this.scratchHashes, this.hashKey, this.doubleHashing); // Use populateHashes
+      const max = this.maxCount;
+      if (this.buffer !== null) {
+          if (!Number.isInteger(count)) {
+              throw new Error(`Counts on shared tables must be integers, got ${count}`);
+          }
+          Atomics.add(this.sharedTotal, 0, BigInt(count));
+          applySharedUpdate(this.table, this.scratchHashes, this.width, this.depth, typeof max === 'bigint' ? BigInt(count) : count, max);
+          return;
+      }
+      this.totalCount += count;
+      const increment = typeof max === 'bigint' ? BigInt(count) : count;
+      if (this.conservative) {
+          applyConservativeUpdate(this.table, this.scratchHashes, this.width, this.depth, increment, max);
+          return;
+      }
+      const table = this.table;
       const w = this.width;
       const bitmask = w - 1; // Pre-calculate for bitwise AND
       const currentHashes = this.scratchHashes; // Use the member variable
 
       if (this.depth === 5) { // Common case based on logs
-          this.table[(currentHashes[0] & bitmask) + (0 * w)] += count;
-          this.table[(currentHashes[1] & bitmask) + (1 * w)] += count;
-          this.table[(currentHashes[2] & bitmask) + (2 * w)] += count;
-          this.table[(currentHashes[3] & bitmask) + (3 * w)] += count;
-          this.table[(currentHashes[4] & bitmask) + (4 * w)] += count;
+          const i0 = (currentHashes[0] & bitmask) + (0 * w);
+          const i1 = (currentHashes[1] & bitmask) + (1 * w);
+          const i2 = (currentHashes[2] & bitmask) + (2 * w);
+          const i3 = (currentHashes[3] & bitmask) + (3 * w);
+          const i4 = (currentHashes[4] & bitmask) + (4 * w);
+          const v0 = table[i0] + increment;
+          const v1 = table[i1] + increment;
+          const v2 = table[i2] + increment;
+          const v3 = table[i3] + increment;
+          const v4 = table[i4] + increment;
+          table[i0] = v0 > max ? max : v0;
+          table[i1] = v1 > max ? max : v1;
+          table[i2] = v2 > max ? max : v2;
+          table[i3] = v3 > max ? max : v3;
+          table[i4] = v4 > max ? max : v4;
       } else { // Fallback for other depths
           for (let i = 0; i < this.depth; ++i) {
               const index = (currentHashes[i] & bitmask) + (i * w);
-              this.table[index] += count;
+              const value = table[index] + increment;
+              table[index] = value > max ? max : value;
           }
       }
   }
 
   /**
    * Queries the estimated frequency count for a given key.
-   * @param {string} key - The key to query.
-   * @returns {number} The estimated frequency count.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @returns {number|bigint} The estimated frequency count (a bigint for 'biguint64' counters).
    */
   query(key) {
-      populateHashes(key, this.depth, this.seeds, this.scratchHashes); // Use populateHashes
+      populateHashes(key, this.depth, this.seeds, this.scratchHashes, this.hashKey, this.doubleHashing); // Use populateHashes
       let minCount = Infinity;
       const w = this.width;
       const bitmask = w - 1; // Pre-calculate for bitwise AND
       const currentHashes = this.scratchHashes; // Use the member variable
 
-      if (this.depth === 5) { // Common case based on logs
+      if (typeof this.maxCount === 'bigint') { // Math.min does not take bigints
+          minCount = this.table[currentHashes[0] & bitmask];
+          for (let i = 1; i < this.depth; ++i) {
+              const counter = this.table[(currentHashes[i] & bitmask) + (i * w)];
+              if (counter < minCount) minCount = counter;
+          }
+      } else if (this.depth === 5) { // Common case based on logs
           minCount = Math.min(minCount, this.table[(currentHashes[0] & bitmask) + (0 * w)]);
           minCount = Math.min(minCount, this.table[(currentHashes[1] & bitmask) + (1 * w)]);
           minCount = Math.min(minCount, this.table[(currentHashes[2] & bitmask) + (2 * w)]);
@@ -152,55 +463,802 @@ export class CountMinSketch {
       return minCount;
   }
 
+  /**
+   * Updates many keys in one call. Hash scratch space and table lookups are
+   * reused across keys, so this is faster than calling `update` in a loop.
+   * @param {ArrayLike<string|number|Uint8Array>} keys - The keys to update.
+   * @param {number|ArrayLike<number>} [counts=1] - One count for every key, or one count per key
+   *   (integers unless counters are 'float64').
+   * @throws {Error} If `counts` is an array whose length differs from `keys`, or holds a positive
+   *   count that is not an integer while counters are not 'float64'. Nothing is changed in that case.
+   */
+  updateMany(keys, counts = 1) {
+      const perKey = typeof counts !== 'number';
+      if (perKey && counts.length !== keys.length) {
+          throw new Error(`Counts length mismatch: expected ${keys.length}, got ${counts.length}`);
+      }
+      if (this.counterType !== 'float64') {
+          for (let k = 0; k < (perKey ? counts.length : 1); k++) {
+              const count = perKey ? counts[k] : counts;
+              if (count > 0 && !Number.isInteger(count)) {
+                  throw new Error(`Counts must be integers for '${this.counterType}' counters, got ${count}`);
+              }
+          }
+      }
+      if (this.buffer !== null) {
+          for (let k = 0; k < keys.length; k++) {
+              this.update(keys[k], perKey ? counts[k] : counts);
+          }
+          return;
+      }
+      const table = this.table;
+      const depth = this.depth;
+      const w = this.width;
+      const bitmask = w - 1;
+      const currentHashes = this.scratchHashes;
+      const max = this.maxCount;
+      const big = typeof max === 'bigint';
+
+      for (let k = 0; k < keys.length; k++) {
+          const count = perKey ? counts[k] : counts;
+          if (count <= 0) continue; // Only increment
+          populateHashes(keys[k], depth, this.seeds, currentHashes, this.hashKey, this.doubleHashing);
+          this.totalCount += count;
+          const increment = big ? BigInt(count) : count;
+          if (this.conservative) {
+              applyConservativeUpdate(table, currentHashes, w, depth, increment, max);
+          } else if (depth === 5) { // Common case based on logs
+              const i0 = (currentHashes[0] & bitmask) + (0 * w);
+              const i1 = (currentHashes[1] & bitmask) + (1 * w);
+              const i2 = (currentHashes[2] & bitmask) + (2 * w);
+              const i3 = (currentHashes[3] & bitmask) + (3 * w);
+              const i4 = (currentHashes[4] & bitmask) + (4 * w);
+              const v0 = table[i0] + increment;
+              const v1 = table[i1] + increment;
+              const v2 = table[i2] + increment;
+              const v3 = table[i3] + increment;
+              const v4 = table[i4] + increment;
+              table[i0] = v0 > max ? max : v0;
+              table[i1] = v1 > max ? max : v1;
+              table[i2] = v2 > max ? max : v2;
+              table[i3] = v3 > max ? max : v3;
+              table[i4] = v4 > max ? max : v4;
+          } else { // Fallback for other depths
+              for (let i = 0; i < depth; ++i) {
+                  const index = (currentHashes[i] & bitmask) + (i * w);
+                  const value = table[index] + increment;
+                  table[index] = value > max ? max : value;
+              }
+          }
+      }
+  }
+
+  /**
+   * Queries a key and reports the Count-Min error bounds around the estimate.
+   * The true count is never above the estimate, and with probability
+   * `confidence` it is at most `epsilon * totalCount` below it. A saturated
+   * counter only proves the true count reached `maxCount`, so its upper bound is Infinity.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @returns {{estimate: number, lowerBound: number, upperBound: number, confidence: number}}
+   */
+  queryWithBounds(key) {
+      const counter = this.query(key);
+      const estimate = Number(counter);
+      return {
+          estimate,
+          lowerBound: Math.max(0, estimate - this.epsilon * this.totalCount),
+          upperBound: counter === this.maxCount ? Infinity : estimate,
+          confidence: 1 - this.delta
+      };
+  }
+
+  /**
+   * Shows how `query(key)` was computed: the bucket the key hashes to in each
+   * row, that bucket's counter, and the row whose counter was the minimum.
+   * Rows far above the minimum are the ones suffering collisions.
+   * @param {string|number|Uint8Array} key - The key to explain.
+   * @returns {{estimate: number|bigint, minRow: number, rows: {row: number, index: number, counter: number|bigint}[]}}
+   *   `minRow` is the first row holding the estimate.
+   */
+  explain(key) {
+      populateHashes(key, this.depth, this.seeds, this.scratchHashes, this.hashKey, this.doubleHashing);
+      const w = this.width;
+      const bitmask = w - 1;
+      const rows = new Array(this.depth);
+      let minRow = 0;
+      for (let i = 0; i < this.depth; ++i) {
+          const index = this.scratchHashes[i] & bitmask;
+          const counter = this.table[index + (i * w)];
+          rows[i] = { row: i, index, counter };
+          if (counter < rows[minRow].counter) minRow = i;
+      }
+      return { estimate: rows[minRow].counter, minRow, rows };
+  }
+
+  /**
+   * Summarizes how full the table is, to tell whether the sketch is too small
+   * for the stream it is absorbing. As the fill ratio approaches 1, almost
+   * every bucket holds colliding keys and estimates drift towards
+   * `epsilon * totalCount` above the true counts.
+   * `estimatedDistinctKeys` is the linear-counting estimate
+   * `-width * ln(1 - fillRatio)` (Infinity once every counter is nonzero).
+   * @returns {{width: number, depth: number, totalCount: number, fillRatio: number, maxCounter: number,
+   *   saturated: number, estimatedDistinctKeys: number,
+   *   rows: {row: number, load: number, nonZero: number, fillRatio: number, maxCounter: number}[]}}
+   *   Counters are reported as numbers, also for 'biguint64' sketches.
+   */
+  diagnostics() {
+      const w = this.width;
+      const table = this.table;
+      const max = this.maxCount;
+      const rows = new Array(this.depth);
+      let nonZeroTotal = 0;
+      let maxCounter = 0;
+      let saturated = 0;
+      for (let i = 0; i < this.depth; ++i) {
+          let load = 0;
+          let nonZero = 0;
+          let rowMax = 0;
+          for (let j = i * w, end = j + w; j < end; ++j) {
+              const counter = table[j];
+              if (counter == 0) continue; // Loose equality also matches 0n
+              const value = Number(counter);
+              load += value;
+              nonZero++;
+              if (value > rowMax) rowMax = value;
+              if (counter === max) saturated++;
+          }
+          rows[i] = { row: i, load, nonZero, fillRatio: nonZero / w, maxCounter: rowMax };
+          nonZeroTotal += nonZero;
+          if (rowMax > maxCounter) maxCounter = rowMax;
+      }
+      const fillRatio = nonZeroTotal / (w * this.depth);
+      return {
+          width: w,
+          depth: this.depth,
+          totalCount: this.totalCount,
+          fillRatio,
+          maxCounter,
+          saturated,
+          estimatedDistinctKeys: fillRatio === 1 ? Infinity : Math.round(w * Math.log(1 / (1 - fillRatio))),
+          rows
+      };
+  }
+
+  /**
+   * Queries many keys in one call and writes the estimates into `out`.
+   * @param {ArrayLike<string|number|Uint8Array>} keys - The keys to query.
+   * @param {Uint32Array|Float64Array|BigUint64Array|number[]} [out] - Where to write the estimates.
+   *   Defaults to a new Uint32Array (Float64Array for 'float64', BigUint64Array for 'biguint64' counters).
+   * @returns {Uint32Array|Float64Array|BigUint64Array|number[]} `out`, with `out[i]` the estimate for `keys[i]`.
+   * @throws {Error} If `out` is shorter than `keys`.
+   */
+  queryMany(keys, out) {
+      if (out === undefined) {
+          const OutType = this.counterType === 'float64' ? Float64Array
+              : this.counterType === 'biguint64' ? BigUint64Array
+              : Uint32Array;
+          out = new OutType(keys.length);
+      } else if (out.length < keys.length) {
+          throw new Error(`Output length too small: expected at least ${keys.length}, got ${out.length}`);
+      }
+      const table = this.table;
+      const depth = this.depth;
+      const w = this.width;
+      const bitmask = w - 1;
+      const currentHashes = this.scratchHashes;
+      const big = typeof this.maxCount === 'bigint';
+
+      for (let k = 0; k < keys.length; k++) {
+          populateHashes(keys[k], depth, this.seeds, currentHashes, this.hashKey, this.doubleHashing);
+          let minCount = table[currentHashes[0] & bitmask];
+          if (depth === 5 && !big) { // Common case based on logs
+              minCount = Math.min(minCount, table[(currentHashes[1] & bitmask) + (1 * w)]);
+              minCount = Math.min(minCount, table[(currentHashes[2] & bitmask) + (2 * w)]);
+              minCount = Math.min(minCount, table[(currentHashes[3] & bitmask) + (3 * w)]);
+              minCount = Math.min(minCount, table[(currentHashes[4] & bitmask) + (4 * w)]);
+          } else { // Fallback for other depths and bigint counters
+              for (let i = 1; i < depth; ++i) {
+                  const counter = table[(currentHashes[i] & bitmask) + (i * w)];
+                  if (counter < minCount) minCount = counter;
+              }
+          }
+          out[k] = minCount;
+      }
+      return out;
+  }
+
+  /**
+   * Queries the frequency of a key with the Count-Mean-Min estimator.
+   * Each row's counter has the expected collision noise `(N - counter) / (width - 1)`
+   * subtracted, and the median of the corrected values is returned, clamped to
+   * the range `[0, query(key)]`. Most useful on heavy or skewed streams where
+   * the plain minimum is biased upward.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @returns {number} The estimated frequency count.
+   */
+  queryMeanMin(key) {
+      populateHashes(key, this.depth, this.seeds, this.scratchHashes, this.hashKey, this.doubleHashing);
+      const w = this.width;
+      const bitmask = w - 1;
+      const currentHashes = this.scratchHashes;
+      const n = this.totalCount;
+      const estimates = new Array(this.depth);
+      let minCount = Infinity;
+
+      for (let i = 0; i < this.depth; ++i) {
+          const counter = Number(this.table[(currentHashes[i] & bitmask) + (i * w)]);
+          minCount = Math.min(minCount, counter);
+          const noise = w > 1 ? (n - counter) / (w - 1) : 0;
+          estimates[i] = counter - noise;
+      }
+      estimates.sort((a, b) => a - b);
+      const mid = estimates.length >> 1;
+      const median = estimates.length % 2 === 1
+          ? estimates[mid]
+          : (estimates[mid - 1] + estimates[mid]) / 2;
+      return Math.max(0, Math.min(minCount, median));
+  }
+
   /**
    * Merges another Count-Min Sketch into this one.
-   * Both sketches must have the same width and depth.
+   * Both sketches must have the same depth, update mode, hash function, counter type and seeds.
+   * If their widths differ, the wider sketch is folded to the narrower width
+   * first (see `fold`); this sketch is narrowed in place if it is the wider one.
+   * Merged counters saturate at `maxCount`. On shared tables every counter is
+   * merged atomically, so updates from other threads are not lost.
    * @param {CountMinSketch} otherSketch - The sketch to merge.
-   * @throws {Error} If dimensions do not match.
+   * @throws {Error} If depths, update modes, hash functions, counter types or seeds do not match,
+   *   or if this sketch is shared and would have to be narrowed.
    */
   merge(otherSketch) {
-      if (this.width !== otherSketch.width || this.depth !== otherSketch.depth) {
-          throw new Error('Cannot merge sketches with different dimensions');
+      const width = Math.min(this.width, otherSketch.width);
+      const self = this.width === width ? this : this.fold(width);
+      const other = otherSketch.width === width ? otherSketch : otherSketch.fold(width);
+      assertCompatible(self, other, 'merge');
+      if (self !== this) {
+          if (this.buffer !== null) {
+              throw new Error('Cannot narrow a shared sketch in place; fold the wider sketch first');
+          }
+          this.width = self.width;
+          this.table = self.table;
+      }
+      const table = this.table;
+      const otherTable = other.table;
+      const max = this.maxCount;
+      if (this.buffer !== null) {
+          for (let i = 0; i < table.length; i++) {
+              transformShared(table, i, current => {
+                  const value = current + otherTable[i];
+                  return value > max ? max : value;
+              });
+          }
+          Atomics.add(this.sharedTotal, 0, BigInt(other.totalCount));
+          return;
+      }
+      for (let i = 0; i < table.length; i++) {
+          const value = table[i] + otherTable[i];
+          table[i] = value > max ? max : value;
+      }
+      this.totalCount += other.totalCount;
+  }
+
+  /**
+   * Returns a copy of the sketch folded to a smaller power of 2 width.
+   * Row indices are `hash & (width - 1)`, so counter `j` of the folded row is
+   * the sum of every counter `i` with `i & (newWidth - 1) === j`. The result
+   * is exactly the sketch that would have been built with `newWidth`, trading
+   * accuracy (epsilon grows by `width / newWidth`) for memory.
+   * @param {number} newWidth - The new width, a power of 2 no larger than `width`.
+   * @returns {CountMinSketch} A new, unshared sketch with the same options.
+   * @throws {Error} If newWidth is not a power of 2 between 1 and `width`.
+   */
+  fold(newWidth) {
+      if (!Number.isInteger(newWidth) || newWidth < 1 || newWidth > this.width || (newWidth & (newWidth - 1)) !== 0) {
+          throw new Error(`Fold width must be a power of 2 between 1 and ${this.width}, got ${newWidth}`);
+      }
+      const folded = new CountMinSketch(newWidth, this.depth, {
+          conservative: this.conservative,
+          hash: this.hash === 'custom' ? this.hashKey : this.hash,
+          doubleHashing: this.doubleHashing,
+          counterType: this.counterType,
+          seeds: this.seeds
+      });
+      const table = this.table;
+      const foldedTable = folded.table;
+      const w = this.width;
+      const bitmask = newWidth - 1;
+      const max = this.maxCount;
+      for (let row = 0; row < this.depth; row++) {
+          const rowOffset = row * w;
+          const foldedOffset = row * newWidth;
+          for (let i = 0; i < w; i++) {
+              const index = foldedOffset + (i & bitmask);
+              const value = foldedTable[index] + table[rowOffset + i];
+              foldedTable[index] = value > max ? max : value;
+          }
+      }
+      folded.totalCount = this.totalCount;
+      return folded;
+  }
+
+  /**
+   * Multiplies every counter and the total count by `factor`, e.g. to decay
+   * old counts. For integer counter types, counters and the total are rounded
+   * to the nearest integer and counters saturate at `maxCount`; use 'float64'
+   * counters for exact decay. On shared tables every counter is scaled
+   * atomically, so updates from other threads are not lost.
+   * @param {number} factor - A non-negative, finite multiplier.
+   * @throws {Error} If factor is negative, NaN or infinite. Nothing is changed in that case.
+   */
+  scale(factor) {
+      if (!(factor >= 0) || factor === Infinity) {
+          throw new Error(`Scale factor must be a non-negative finite number, got ${factor}`);
+      }
+      const table = this.table;
+      const max = this.maxCount;
+      const round = this.counterType !== 'float64';
+      if (this.buffer !== null) {
+          const scaleCounter = typeof max === 'bigint'
+              ? current => {
+                  const value = BigInt(Math.round(Number(current) * factor));
+                  return value > max ? max : value;
+              }
+              : current => Math.min(Math.round(current * factor), max);
+          for (let i = 0; i < table.length; i++) {
+              transformShared(table, i, scaleCounter);
+          }
+          transformShared(this.sharedTotal, 0, total => BigInt(Math.round(Number(total) * factor)));
+          return;
+      }
+      if (typeof max === 'bigint') {
+          for (let i = 0; i < table.length; i++) {
+              const value = BigInt(Math.round(Number(table[i]) * factor));
+              table[i] = value > max ? max : value;
+          }
+      } else {
+          for (let i = 0; i < table.length; i++) {
+              const value = round ? Math.round(table[i] * factor) : table[i] * factor;
+              table[i] = value > max ? max : value;
+          }
+      }
+      this.totalCount = round ? Math.round(this.totalCount * factor) : this.totalCount * factor;
+  }
+
+  /**
+   * Subtracts another sketch's counters from this one, clamping at zero.
+   * When `otherSketch` summarizes a prefix of this sketch's stream (e.g. an
+   * earlier snapshot), the result is the sketch of the items added since.
+   * Conservative sketches are not linear, so they cannot be subtracted. On
+   * shared tables every counter is updated atomically, so updates from other
+   * threads are not lost.
+   * @param {CountMinSketch} otherSketch - The sketch to subtract.
+   * @throws {Error} If the sketches are incompatible or use conservative update.
+   */
+  subtract(otherSketch) {
+      assertCompatible(this, otherSketch, 'subtract');
+      if (this.conservative) {
+          throw new Error('Cannot subtract sketches that use conservative update');
+      }
+      const table = this.table;
+      const otherTable = otherSketch.table;
+      const zero = typeof this.maxCount === 'bigint' ? 0n : 0;
+      if (this.buffer !== null) {
+          for (let i = 0; i < table.length; i++) {
+              transformShared(table, i, current => current > otherTable[i] ? current - otherTable[i] : zero);
+          }
+          const otherTotal = BigInt(otherSketch.totalCount);
+          transformShared(this.sharedTotal, 0, total => total > otherTotal ? total - otherTotal : 0n);
+          return;
+      }
+      for (let i = 0; i < table.length; i++) {
+          table[i] = table[i] > otherTable[i] ? table[i] - otherTable[i] : zero;
+      }
+      this.totalCount = Math.max(0, this.totalCount - otherSketch.totalCount);
+  }
+
+  /**
+   * Returns a sketch of the per-counter differences `a - b`, e.g. this hour's
+   * traffic minus last hour's. Unlike `subtract`, differences are not clamped:
+   * the result has 'float64' counters that are negative where `b` is larger.
+   * Querying it returns the smallest row difference, which only bounds the
+   * change from above when every key's count grew; use `relativeChange` or
+   * `detectChanges` to compare individual keys.
+   * @param {CountMinSketch} a - The current sketch.
+   * @param {CountMinSketch} b - The baseline sketch.
+   * @returns {CountMinSketch} A new sketch with the same dimensions, hashing and seeds.
+   * @throws {Error} If the sketches are incompatible (same checks as `merge`, with equal widths) or use conservative update.
+   */
+  static diff(a, b) {
+      assertCompatible(a, b, 'diff');
+      if (a.conservative) {
+          throw new Error('Cannot diff sketches that use conservative update');
+      }
+      const result = new CountMinSketch(a.width, a.depth, {
+          hash: a.hash === 'custom' ? a.hashKey : a.hash,
+          doubleHashing: a.doubleHashing,
+          counterType: 'float64',
+          seeds: a.seeds
+      });
+      const table = result.table;
+      for (let i = 0; i < table.length; i++) {
+          table[i] = Number(a.table[i]) - Number(b.table[i]);
+      }
+      result.totalCount = a.totalCount - b.totalCount;
+      return result;
+  }
+
+  /**
+   * Estimates how much a key's count changed relative to a baseline sketch:
+   * `(query(key) - baseline.query(key)) / baseline.query(key)`, so 1 means the
+   * count doubled and -0.5 that it halved. Both estimates may be up to
+   * `epsilon * totalCount` too high, so changes of small counts are noisy.
+   * @param {string|number|Uint8Array} key - The key to compare.
+   * @param {CountMinSketch} baseline - The sketch to compare against, e.g. the previous hour's.
+   * @returns {number} The relative change; Infinity if the key is new, 0 if it is absent from both.
+   * @throws {Error} If the sketches are incompatible (same checks as `merge`, with equal widths).
+   */
+  relativeChange(key, baseline) {
+      assertCompatible(this, baseline, 'compare');
+      return relativeChangeOf(Number(this.query(key)), Number(baseline.query(key)));
+  }
+
+  /**
+   * Reports the candidate keys whose estimate grew by more than `threshold`
+   * relative to a baseline sketch, largest change first. Sketches cannot list
+   * their keys, so the candidates usually come from a TopKSketch or a log sample.
+   * @param {CountMinSketch} baseline - The sketch to compare against.
+   * @param {Iterable<string|number|Uint8Array>} keys - The candidate keys.
+   * @param {object} [options]
+   * @param {number} [options.threshold=1] - Minimum relative change to report (1 means the count more than doubled).
+   * @param {number} [options.minCount=0] - Skip keys whose current estimate is below this, to ignore noise on rare keys.
+   * @returns {{key: string|number|Uint8Array, current: number, baseline: number, change: number, relativeChange: number}[]}
+   * @throws {Error} If the sketches are incompatible or the threshold is not a number.
+   */
+  detectChanges(baseline, keys, options = {}) {
+      assertCompatible(this, baseline, 'compare');
+      const { threshold = 1, minCount = 0 } = options;
+      if (typeof threshold !== 'number' || Number.isNaN(threshold)) {
+          throw new Error(`Threshold must be a number, got ${threshold}`);
+      }
+      const changes = [];
+      for (const key of keys) {
+          const current = Number(this.query(key));
+          if (current < minCount) continue;
+          const previous = Number(baseline.query(key));
+          const relativeChange = relativeChangeOf(current, previous);
+          if (relativeChange > threshold) {
+              changes.push({ key, current, baseline: previous, change: current - previous, relativeChange });
+          }
+      }
+      return changes.sort((a, b) => b.relativeChange - a.relativeChange || b.change - a.change);
+  }
+
+  /**
+   * Estimates the inner product of the frequency vectors of two sketches,
+   * i.e. the size of an equi-join between the two streams. For each row the
+   * dot product of the two rows is taken, and the minimum over rows is returned.
+   * Overestimates by at most epsilon * N_a * N_b with probability 1 - delta.
+   * Conservative sketches are not linear, so that guarantee does not hold for them.
+   * @param {CountMinSketch} a
+   * @param {CountMinSketch} b
+   * @returns {number|bigint} The estimated inner product (a bigint for 'biguint64' counters).
+   * @throws {Error} If the sketches are not compatible (same checks as `merge`) or use conservative update.
+   */
+  static innerProduct(a, b) {
+      assertCompatible(a, b, 'compute the inner product of');
+      if (a.conservative) {
+          throw new Error('Cannot compute the inner product of sketches that use conservative update');
       }
-      for (let i = 0; i < this.table.length; i++) {
-          this.table[i] += otherSketch.table[i];
+      const w = a.width;
+      const zero = typeof a.maxCount === 'bigint' ? 0n : 0;
+      let minProduct;
+      for (let row = 0; row < a.depth; row++) {
+          let product = zero;
+          for (let i = row * w, end = i + w; i < end; i++) {
+              product += a.table[i] * b.table[i];
+          }
+          if (minProduct === undefined || product < minProduct) {
+              minProduct = product;
+          }
       }
+      return minProduct;
+  }
+
+  /**
+   * Estimates the self-join size (second frequency moment, F2) of the stream.
+   * @returns {number|bigint}
+   * @throws {Error} If the sketch uses conservative update.
+   */
+  selfJoinSize() {
+      return CountMinSketch.innerProduct(this, this);
   }
 
     /**
-   * Resets all counters in the sketch to zero.
+   * Resets all counters in the sketch to zero. Shared counters are reset
+   * with `Atomics.store`; updates racing the reset may or may not survive it.
    */
   clear() {
-      this.table.fill(0);
+      const zero = typeof this.maxCount === 'bigint' ? 0n : 0;
+      if (this.buffer !== null) {
+          for (let i = 0; i < this.table.length; i++) {
+              Atomics.store(this.table, i, zero);
+          }
+          Atomics.store(this.sharedTotal, 0, 0n);
+          return;
+      }
+      this.table.fill(zero);
+      this.totalCount = 0;
   }
 
   /**
    * Serializes the sketch to a JSON-compatible object.
-   * @returns {{width: number, depth: number, table: number[]}}
+   * 'biguint64' counters are written as decimal strings.
+   * @returns {{width: number, depth: number, conservative: boolean, totalCount: number, hash: string, doubleHashing: boolean, counterType: string, seeds: number[], table: (number|string)[]}}
    */
   toJSON() {
       return {
           width: this.width,
           depth: this.depth,
-          table: Array.from(this.table)
+          conservative: this.conservative,
+          totalCount: this.totalCount,
+          hash: this.hash,
+          doubleHashing: this.doubleHashing,
+          counterType: this.counterType,
+          seeds: this.seeds.slice(),
+          table: typeof this.maxCount === 'bigint' ? Array.from(this.table, String) : Array.from(this.table)
+      };
+  }
+
+  /**
+   * Describes the sketch's configuration without its table, for `CountMinSketch.attach`.
+   * @returns {{width: number, depth: number, hash: string, doubleHashing: boolean, counterType: string, seeds: number[]}}
+   */
+  toMeta() {
+      return {
+          width: this.width,
+          depth: this.depth,
+          hash: this.hash,
+          doubleHashing: this.doubleHashing,
+          counterType: this.counterType,
+          seeds: this.seeds.slice()
       };
   }
 
+  /**
+   * Serializes the sketch to a compact, versioned binary layout.
+   * The sparse encoding stores only nonzero counters as varint (gap, value)
+   * pairs, which is much smaller for mostly-empty sketches.
+   * @param {object} [options]
+   * @param {boolean} [options.sparse=false] - Use the sparse varint encoding.
+   * @returns {Uint8Array}
+   */
+  toBuffer(options = {}) {
+      const sparse = !!options.sparse;
+      const table = this.table;
+      const counters = COUNTER_TYPES[this.counterType];
+      let payload;
+      if (sparse) {
+          const out = [];
+          const floatBytes = new Uint8Array(8);
+          const floatView = new DataView(floatBytes.buffer);
+          let previous = -1;
+          for (let i = 0; i < table.length; i++) {
+              if (table[i]) { // Skips both 0 and 0n
+                  writeVarint(out, i - previous - 1);
+                  if (counters.id === 1) {
+                      floatView.setFloat64(0, table[i], true);
+                      out.push(...floatBytes);
+                  } else {
+                      writeVarint(out, table[i]);
+                  }
+                  previous = i;
+              }
+          }
+          payload = Uint8Array.from(out);
+      } else {
+          payload = new Uint8Array(table.length * counters.bytes);
+          const payloadView = new DataView(payload.buffer);
+          for (let i = 0; i < table.length; i++) {
+              payloadView[counters.set](i * counters.bytes, table[i], true);
+          }
+      }
+
+      const explicitSeeds = !isSequentialSeeds(this.seeds);
+      const payloadStart = BINARY_HEADER_SIZE + (explicitSeeds ? this.depth * 4 : 0);
+      const bytes = new Uint8Array(payloadStart + payload.length);
+      const view = new DataView(bytes.buffer);
+      bytes.set(BINARY_MAGIC, 0);
+      view.setUint8(4, BINARY_VERSION);
+      view.setUint8(5, (this.conservative ? FLAG_CONSERVATIVE : 0) | (sparse ? FLAG_SPARSE : 0) |
+          (this.doubleHashing ? FLAG_DOUBLE_HASHING : 0));
+      view.setUint8(6, HASH_IDS[this.hash]);
+      view.setUint8(7, explicitSeeds ? SEEDS_EXPLICIT : SEEDS_SEQUENTIAL);
+      view.setUint8(8, counters.bytes);
+      view.setUint8(9, counters.id);
+      view.setUint32(12, this.width, true);
+      view.setUint32(16, this.depth, true);
+      view.setFloat64(20, this.totalCount, true);
+      view.setUint32(28, payload.length, true);
+      if (explicitSeeds) {
+          for (let i = 0; i < this.depth; i++) {
+              view.setUint32(BINARY_HEADER_SIZE + i * 4, this.seeds[i], true);
+          }
+      }
+      bytes.set(payload, payloadStart);
+      return bytes;
+  }
+
+  /**
+   * Creates a CountMinSketch instance from the output of `toBuffer()`.
+   * @param {Uint8Array|ArrayBuffer} buffer - The serialized sketch bytes (a Node.js Buffer works too).
+   * @param {object} [options]
+   * @param {Function} [options.hash] - The hash function, required when the sketch was built with a custom one.
+   * @returns {CountMinSketch}
+   * @throws {Error} If the buffer is truncated, corrupted or uses an unsupported format.
+   */
+  static fromBuffer(buffer, options = {}) {
+      let bytes;
+      if (buffer instanceof Uint8Array) {
+          bytes = buffer;
+      } else if (buffer instanceof ArrayBuffer) {
+          bytes = new Uint8Array(buffer);
+      } else {
+          throw new Error('Invalid CountMinSketch buffer: expected a Uint8Array or ArrayBuffer');
+      }
+      if (bytes.length < BINARY_HEADER_SIZE) {
+          throw new Error(`Invalid CountMinSketch buffer: truncated header (${bytes.length} of ${BINARY_HEADER_SIZE} bytes)`);
+      }
+      for (let i = 0; i < BINARY_MAGIC.length; i++) {
+          if (bytes[i] !== BINARY_MAGIC[i]) {
+              throw new Error('Invalid CountMinSketch buffer: bad magic header');
+          }
+      }
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const version = view.getUint8(4);
+      if (version !== BINARY_VERSION) {
+          throw new Error(`Unsupported CountMinSketch buffer version: ${version}`);
+      }
+      const flags = view.getUint8(5);
+      if ((flags & ~(FLAG_CONSERVATIVE | FLAG_SPARSE | FLAG_DOUBLE_HASHING)) !== 0) {
+          throw new Error(`Invalid CountMinSketch buffer: unknown flags 0x${flags.toString(16)}`);
+      }
+      const hashId = view.getUint8(6);
+      const hash = Object.keys(HASH_IDS).find(name => HASH_IDS[name] === hashId);
+      if (hash === undefined) {
+          throw new Error(`Unsupported CountMinSketch buffer hash function id: ${hashId}`);
+      }
+      const seedId = view.getUint8(7);
+      if (seedId !== SEEDS_SEQUENTIAL && seedId !== SEEDS_EXPLICIT) {
+          throw new Error(`Unsupported CountMinSketch buffer seed scheme id: ${seedId}`);
+      }
+      const counterBytes = view.getUint8(8);
+      const counterEncoding = view.getUint8(9);
+      const counterType = Object.keys(COUNTER_TYPES).find(name =>
+          COUNTER_TYPES[name].bytes === counterBytes && COUNTER_TYPES[name].id === counterEncoding);
+      if (counterType === undefined) {
+          throw new Error(`Unsupported CountMinSketch buffer counter width: ${counterBytes} bytes with encoding ${counterEncoding}`);
+      }
+      const counters = COUNTER_TYPES[counterType];
+      const width = view.getUint32(12, true);
+      const depth = view.getUint32(16, true);
+      if (width === 0 || depth === 0 || (width & (width - 1)) !== 0 || width * depth > MAX_TABLE_LENGTH) {
+          throw new Error(`Invalid CountMinSketch buffer: bad dimensions ${width}x${depth}`);
+      }
+      const totalCount = view.getFloat64(20, true);
+      const float = counters.id === 1;
+      // Float tables may hold signed values, e.g. the output of `diff`
+      if (float ? Number.isNaN(totalCount) : !(totalCount >= 0)) {
+          throw new Error('Invalid CountMinSketch buffer: bad total count');
+      }
+      const payloadLength = view.getUint32(28, true);
+      const payloadStart = BINARY_HEADER_SIZE + (seedId === SEEDS_EXPLICIT ? depth * 4 : 0);
+      const end = payloadStart + payloadLength;
+      if (bytes.length < payloadStart) {
+          throw new Error(`Invalid CountMinSketch buffer: truncated seeds (${bytes.length - BINARY_HEADER_SIZE} of ${depth * 4} bytes)`);
+      }
+      if (bytes.length < end) {
+          throw new Error(`Invalid CountMinSketch buffer: truncated payload (${bytes.length - payloadStart} of ${payloadLength} bytes)`);
+      }
+      if (bytes.length > end) {
+          throw new Error(`Invalid CountMinSketch buffer: ${bytes.length - end} unexpected trailing bytes`);
+      }
+
+      const sparse = (flags & FLAG_SPARSE) !== 0;
+      const tableLength = width * depth;
+      if (!sparse && payloadLength !== tableLength * counterBytes) {
+          throw new Error(`Table length mismatch: expected ${tableLength * counterBytes} bytes, got ${payloadLength}`);
+      }
+
+      const sketch = new CountMinSketch(width, depth, {
+          conservative: (flags & FLAG_CONSERVATIVE) !== 0,
+          hash: resolveSerializedHash(hash, options.hash),
+          doubleHashing: (flags & FLAG_DOUBLE_HASHING) !== 0,
+          counterType,
+          seeds: seedId === SEEDS_EXPLICIT
+              ? Array.from({ length: depth }, (_, i) => view.getUint32(BINARY_HEADER_SIZE + i * 4, true))
+              : undefined
+      });
+      sketch.totalCount = totalCount;
+      const table = sketch.table;
+      if (sparse) {
+          const cursor = { offset: payloadStart };
+          const big = typeof counters.max === 'bigint';
+          let index = -1;
+          while (cursor.offset < end) {
+              index += readVarint(bytes, cursor, end) + 1;
+              let value;
+              if (float) {
+                  if (cursor.offset + 8 > end) {
+                      throw new Error('Invalid CountMinSketch buffer: truncated sparse payload');
+                  }
+                  value = view.getFloat64(cursor.offset, true);
+                  cursor.offset += 8;
+              } else {
+                  value = readVarint(bytes, cursor, end, big);
+              }
+              if (index >= tableLength) {
+                  throw new Error(`Invalid CountMinSketch buffer: sparse index ${index} out of range`);
+              }
+              if (float ? Number.isNaN(value) : !(value >= 0) || value > counters.max) {
+                  throw new Error(`Invalid CountMinSketch buffer: counter value ${value} out of range`);
+              }
+              table[index] = value;
+          }
+      } else {
+          for (let i = 0; i < tableLength; i++) {
+              table[i] = view[counters.get](payloadStart + i * counterBytes, true);
+          }
+      }
+      return sketch;
+  }
+
   /**
    * Creates a CountMinSketch instance from a JSON object.
-   * @param {{width: number, depth: number, table: number[]}} data - The serialized sketch data.
+   * If `totalCount` is missing (older payloads) it is recovered from the first
+   * row's sum, which equals N for sketches using standard updates. If `seeds`
+   * is missing, the default seeds `0..depth-1` are used.
+   * @param {{width: number, depth: number, conservative?: boolean, totalCount?: number, hash?: string, doubleHashing?: boolean, counterType?: string, seeds?: number[], table: (number|string)[]}} data - The serialized sketch data.
+   * @param {object} [options]
+   * @param {Function} [options.hash] - The hash function, required when the sketch was built with a custom one.
    * @returns {CountMinSketch}
-   * @throws {Error} If data is invalid.
+   * @throws {Error} If data or its seeds are invalid, or its hash function is unavailable.
    */
-  static fromJSON(data) {
+  static fromJSON(data, options = {}) {
       if (!data || typeof data !== 'object' || !data.width || !data.depth || !Array.isArray(data.table)) {
           throw new Error('Invalid data format for CountMinSketch reconstruction');
       }
-      const sketch = new CountMinSketch(data.width, data.depth);
+      const sketch = new CountMinSketch(data.width, data.depth, {
+          conservative: !!data.conservative,
+          hash: resolveSerializedHash(data.hash || 'fnv1a', options.hash),
+          doubleHashing: !!data.doubleHashing,
+          counterType: data.counterType,
+          seeds: data.seeds
+      });
       if (sketch.table.length !== data.table.length) {
           throw new Error(`Table length mismatch: expected ${sketch.table.length}, got ${data.table.length}`);
       }
-      sketch.table.set(data.table);
+      if (typeof sketch.maxCount === 'bigint') {
+          sketch.table.set(data.table.map(value => BigInt(value)));
+      } else {
+          sketch.table.set(data.table);
+      }
+      if (typeof data.totalCount === 'number') {
+          sketch.totalCount = data.totalCount;
+      } else if (!sketch.conservative) {
+          for (let i = 0; i < sketch.width; i++) {
+              sketch.totalCount += Number(sketch.table[i]);
+          }
+      }
       return sketch;
   }
-} 
\ No newline at end of file
+}
+
+export { CountSketch } from './src/count-sketch.js';
+export { DyadicRangeSketch } from './src/dyadic-range-sketch.js';
+export { FrequencyAndCardinality } from './src/frequency-and-cardinality.js';
+export { GroupBySketch } from './src/group-by-sketch.js';
+export { HyperLogLog } from './src/hyperloglog.js';
+export { ScalableSketch } from './src/scalable-sketch.js';
+export { TopKSketch } from './src/top-k-sketch.js';
+export { WindowedSketch } from './src/windowed-sketch.js';
@@ -0,0 +1,352 @@
+import { open, readFile, rename, unlink, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { CountMinSketch } from '../index.js';
+
+// --- Checkpoint format ---
+// Envelope layout (little-endian):
+//   0  magic 'CMCP'        4 bytes
+//   4  envelope version    u8
+//   5  payload format      u8  (0: toJSON as UTF-8, 1: toBuffer)
+//   6  reserved            2 bytes (zero)
+//   8  payload length      u32 (bytes)
+//  12  payload CRC-32      u32
+//  16  payload
+const CHECKPOINT_MAGIC = [0x43, 0x4d, 0x43, 0x50]; // 'CMCP'
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_HEADER_SIZE = 16;
+const FORMAT_IDS = { json: 0, binary: 1 };
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 (IEEE 802.3) checksum of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number} The unsigned 32-bit checksum.
+ */
+function crc32(bytes) {
+    if (crcTable === null) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Checks that a checkpoint name can be used as a file name.
+ * @param {string} name
+ * @throws {Error} If the name is empty or contains a path separator.
+ */
+function assertValidName(name) {
+    if (typeof name !== 'string' || name === '' || name === '.' || name === '..' || /[/\\\0]/.test(name)) {
+        throw new Error(`Checkpoint names must be non-empty file names, got '${name}'`);
+    }
+}
+
+/**
+ * Validates the options shared by `saveCheckpoint` and `createCheckpointer`.
+ * @param {object} options
+ * @returns {{name: string, format: string}}
+ * @throws {Error} If the name or format is invalid.
+ */
+function resolveSaveOptions(options) {
+    const { name = 'sketch', format = 'binary' } = options;
+    if (!Object.prototype.hasOwnProperty.call(FORMAT_IDS, format)) {
+        throw new Error(`Unknown checkpoint format: ${format}. Expected one of ${Object.keys(FORMAT_IDS).join(', ')}`);
+    }
+    assertValidName(name);
+    return { name, format };
+}
+
+/**
+ * Wraps a serialized sketch in a checkpoint envelope.
+ * @param {CountMinSketch} sketch
+ * @param {string} format - 'binary' or 'json'.
+ * @returns {Uint8Array}
+ */
+function encodeCheckpoint(sketch, format) {
+    const payload = format === 'json'
+        ? new TextEncoder().encode(JSON.stringify(sketch))
+        : sketch.toBuffer({ sparse: true });
+    const bytes = new Uint8Array(CHECKPOINT_HEADER_SIZE + payload.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set(CHECKPOINT_MAGIC, 0);
+    view.setUint8(4, CHECKPOINT_VERSION);
+    view.setUint8(5, FORMAT_IDS[format]);
+    view.setUint32(8, payload.length, true);
+    view.setUint32(12, crc32(payload), true);
+    bytes.set(payload, CHECKPOINT_HEADER_SIZE);
+    return bytes;
+}
+
+/**
+ * Validates a checkpoint envelope and rebuilds the sketch it holds.
+ * @param {Uint8Array} bytes
+ * @param {string} name - Used in error messages.
+ * @param {object} options - Passed through to `CountMinSketch.fromJSON` or `CountMinSketch.fromBuffer`.
+ * @returns {CountMinSketch}
+ * @throws {Error} If the checkpoint is truncated, corrupt or in an unknown format.
+ */
+function decodeCheckpoint(bytes, name, options) {
+    if (bytes.length < CHECKPOINT_HEADER_SIZE || CHECKPOINT_MAGIC.some((byte, i) => bytes[i] !== byte)) {
+        throw new Error(`Checkpoint '${name}' is not a sketch checkpoint or is truncated`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint8(4);
+    if (version !== CHECKPOINT_VERSION) {
+        throw new Error(`Checkpoint '${name}' has unsupported version ${version}`);
+    }
+    const formatId = view.getUint8(5);
+    const length = view.getUint32(8, true);
+    const payload = bytes.subarray(CHECKPOINT_HEADER_SIZE);
+    if (payload.length !== length) {
+        throw new Error(`Checkpoint '${name}' is truncated: expected ${length} payload bytes, got ${payload.length}`);
+    }
+    if (crc32(payload) !== view.getUint32(12, true)) {
+        throw new Error(`Checkpoint '${name}' is corrupt: checksum mismatch`);
+    }
+    if (formatId === FORMAT_IDS.json) {
+        return CountMinSketch.fromJSON(JSON.parse(new TextDecoder().decode(payload)), options);
+    }
+    if (formatId === FORMAT_IDS.binary) {
+        return CountMinSketch.fromBuffer(payload, options);
+    }
+    throw new Error(`Checkpoint '${name}' has unknown payload format ${formatId}`);
+}
+
+/**
+ * Storage adapter that keeps checkpoints in a Map, for tests and for
+ * processes that hand checkpoints to some other store themselves.
+ * Storage adapters implement `write(name, bytes)` and `read(name)`, which
+ * resolves to the bytes or to null if there is no checkpoint of that name.
+ */
+export class MemoryStorage {
+  entries; // Map from checkpoint name to its bytes
+
+  constructor() {
+      this.entries = new Map();
+  }
+
+  /**
+   * Stores a copy of `bytes` under `name`, replacing any previous checkpoint.
+   * @param {string} name
+   * @param {Uint8Array} bytes
+   */
+  async write(name, bytes) {
+      this.entries.set(name, bytes.slice());
+  }
+
+  /**
+   * Returns a copy of the bytes stored under `name`.
+   * @param {string} name
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async read(name) {
+      const bytes = this.entries.get(name);
+      return bytes === undefined ? null : bytes.slice();
+  }
+}
+
+/**
+ * Flushes a directory's entries to disk, so that a rename inside it survives
+ * a crash. Platforms that cannot open or sync directories (e.g. Windows) are
+ * skipped.
+ * @param {string} directory
+ */
+async function syncDirectory(directory) {
+    let handle;
+    try {
+        handle = await open(directory, 'r');
+        await handle.sync();
+    } catch (err) {
+        if (err.code !== 'EISDIR' && err.code !== 'EPERM' && err.code !== 'EINVAL') {
+            throw err;
+        }
+    } finally {
+        if (handle !== undefined) await handle.close();
+    }
+}
+
+/**
+ * Storage adapter that keeps each checkpoint in a file of the same name in
+ * `directory`. Files are written to a temporary file, flushed to disk and
+ * renamed over the previous checkpoint, so a crash mid-write leaves the
+ * previous checkpoint intact; the directory is then flushed so the rename
+ * itself survives a crash.
+ */
+export class FileStorage {
+  directory; // Directory holding the checkpoint files
+  tempCounter; // Makes temporary file names unique within the process
+
+  /**
+   * Creates a filesystem storage adapter. The directory is created on the first write.
+   * @param {string} directory
+   * @throws {Error} If directory is not a non-empty string.
+   */
+  constructor(directory) {
+      if (typeof directory !== 'string' || directory === '') {
+          throw new Error('FileStorage requires a directory path');
+      }
+      this.directory = directory;
+      this.tempCounter = 0;
+  }
+
+  /**
+   * Atomically replaces the file `name` with `bytes`. The directory is synced
+   * after the rename, so the new checkpoint survives a crash.
+   * @param {string} name
+   * @param {Uint8Array} bytes
+   */
+  async write(name, bytes) {
+      assertValidName(name);
+      await mkdir(this.directory, { recursive: true });
+      const path = join(this.directory, name);
+      const tempPath = `${path}.${process.pid}.${this.tempCounter++}.tmp`;
+      const file = await open(tempPath, 'w');
+      try {
+          await file.writeFile(bytes);
+          await file.sync();
+      } catch (err) {
+          await file.close();
+          await unlink(tempPath).catch(() => {});
+          throw err;
+      }
+      await file.close();
+      try {
+          await rename(tempPath, path);
+      } catch (err) {
+          await unlink(tempPath).catch(() => {});
+          throw err;
+      }
+      await syncDirectory(this.directory);
+  }
+
+  /**
+   * Reads the file `name`.
+   * @param {string} name
+   * @returns {Promise<Uint8Array|null>} The bytes, or null if the file does not exist.
+   */
+  async read(name) {
+      assertValidName(name);
+      try {
+          return await readFile(join(this.directory, name));
+      } catch (err) {
+          if (err.code === 'ENOENT') return null;
+          throw err;
+      }
+  }
+}
+
+/**
+ * Writes a checkpoint of `sketch` to `storage`. The sketch is serialized
+ * synchronously, so updates made while the write is in flight are not included.
+ * @param {CountMinSketch} sketch - The sketch to persist.
+ * @param {{write: Function}} storage - A storage adapter such as FileStorage or MemoryStorage.
+ * @param {object} [options]
+ * @param {string} [options.name='sketch'] - The checkpoint name (a file name for FileStorage).
+ * @param {string} [options.format='binary'] - 'binary' (sparse `toBuffer`) or 'json' (`toJSON`).
+ * @returns {Promise<void>}
+ * @throws {Error} If the sketch, storage or options are invalid, or the write fails.
+ */
+export async function saveCheckpoint(sketch, storage, options = {}) {
+    if (!(sketch instanceof CountMinSketch)) {
+        throw new Error('saveCheckpoint requires a CountMinSketch');
+    }
+    if (!storage || typeof storage.write !== 'function') {
+        throw new Error('Storage adapters must implement write(name, bytes) and read(name)');
+    }
+    const { name, format } = resolveSaveOptions(options);
+    await storage.write(name, encodeCheckpoint(sketch, format));
+}
+
+/**
+ * Restores the sketch from the latest checkpoint in `storage`.
+ * @param {{read: Function}} storage - A storage adapter such as FileStorage or MemoryStorage.
+ * @param {object} [options] - `name` as for `saveCheckpoint`, plus options passed through to
+ *   `CountMinSketch.fromJSON` or `CountMinSketch.fromBuffer` (e.g. a custom `hash`).
+ * @returns {Promise<CountMinSketch|null>} The sketch, or null if there is no checkpoint yet.
+ * @throws {Error} If the checkpoint is truncated or corrupt.
+ */
+export async function restoreCheckpoint(storage, options = {}) {
+    const { name = 'sketch' } = options;
+    if (!storage || typeof storage.read !== 'function') {
+        throw new Error('Storage adapters must implement write(name, bytes) and read(name)');
+    }
+    assertValidName(name);
+    const bytes = await storage.read(name);
+    if (bytes === null || bytes === undefined) {
+        return null;
+    }
+    return decodeCheckpoint(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes), name, options);
+}
+
+/**
+ * Periodically checkpoints a sketch. A save that is still running when the
+ * next one is due is not overlapped; the next save waits for it instead.
+ * The interval timer is unref'd, so it does not keep the process alive;
+ * call `stop()` on shutdown to write a final checkpoint.
+ * @param {CountMinSketch} sketch - The sketch to persist.
+ * @param {{write: Function}} storage - A storage adapter such as FileStorage or MemoryStorage.
+ * @param {object} [options] - `name` and `format` as for `saveCheckpoint`, plus:
+ * @param {number} [options.interval=0] - Milliseconds between checkpoints; 0 saves only when asked to.
+ * @param {Function} [options.onError] - Called with errors from interval saves. Defaults to emitting a process warning.
+ * @returns {{save: () => Promise<void>, restore: () => Promise<CountMinSketch|null>, stop: () => Promise<void>}}
+ *   `save` writes a checkpoint now; `restore` reads the checkpoint back with `restoreCheckpoint`, after
+ *   any save in flight; `stop` clears the timer and writes a final checkpoint.
+ * @throws {Error} If the sketch, storage or options are invalid.
+ */
+export function createCheckpointer(sketch, storage, options = {}) {
+    const {
+        interval = 0,
+        onError = err => process.emitWarning(`Sketch checkpoint failed: ${err.message}`)
+    } = options;
+    if (!(sketch instanceof CountMinSketch)) {
+        throw new Error('createCheckpointer requires a CountMinSketch');
+    }
+    if (!storage || typeof storage.write !== 'function' || typeof storage.read !== 'function') {
+        throw new Error('Storage adapters must implement write(name, bytes) and read(name)');
+    }
+    if (!(interval >= 0) || typeof onError !== 'function') {
+        throw new Error('interval must be non-negative and onError must be a function');
+    }
+    resolveSaveOptions(options);
+
+    let pending = Promise.resolve();
+    let timer = null;
+
+    const save = () => {
+        const next = pending.then(() => saveCheckpoint(sketch, storage, options));
+        pending = next.catch(() => {}); // One failed save must not block the next
+        return next;
+    };
+
+    if (interval > 0) {
+        timer = setInterval(() => {
+            save().catch(onError);
+        }, interval);
+        timer.unref();
+    }
+
+    return {
+        save,
+        restore() {
+            return pending.then(() => restoreCheckpoint(storage, options));
+        },
+        async stop() {
+            if (timer !== null) {
+                clearInterval(timer);
+                timer = null;
+            }
+            await save();
+        }
+    };
+}
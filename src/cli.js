@@ -0,0 +1,215 @@
+import { createReadStream } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import { CountMinSketch, TopKSketch } from '../index.js';
+import { createSketchStream } from './stream.js';
+
+const USAGE = `Usage: cms <command> [options]
+
+Commands:
+  build [files...]            Count lines from files (or stdin) into a new sketch
+      -e, --epsilon <n>       Error rate (default 0.001)
+      -d, --delta <n>         Probability of exceeding the error rate (default 0.01)
+      -k, --top <k>           Track the top k keys as candidates
+      -c, --conservative      Use conservative update
+          --hash <name>       fnv1a, murmur3 or xxhash32 (default fnv1a)
+      -o, --output <file>     Write the sketch here instead of stdout
+  query <sketch> <keys...>    Print the estimated count of each key
+  merge <sketches...>         Combine sketches built with the same options
+      -o, --output <file>     Write the merged sketch here instead of stdout
+  top <sketch>                List the top keys of a sketch built with --top
+      -n, --limit <n>         Number of keys to list (default: all candidates)
+  info <sketch>               Print dimensions, error bounds and totals
+`;
+
+/**
+ * Error raised for invalid command lines; the usage text is printed with it.
+ */
+class UsageError extends Error {}
+
+/**
+ * Loads a sketch file written by `build` or `merge`. Files with candidates
+ * are Top-K sketches; everything else is a plain CountMinSketch.
+ * @param {string} path
+ * @returns {Promise<CountMinSketch|TopKSketch>}
+ */
+async function loadSketch(path) {
+    let data;
+    try {
+        data = JSON.parse(await readFile(path, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read sketch ${path}: ${err.message}`);
+    }
+    return data && Array.isArray(data.candidates) ? TopKSketch.fromJSON(data) : CountMinSketch.fromJSON(data);
+}
+
+/**
+ * Writes a sketch as JSON to `output`, or to `stdout` when no output file is given.
+ * @param {CountMinSketch|TopKSketch} sketch
+ * @param {string|undefined} output
+ * @param {import('node:stream').Writable} stdout
+ */
+async function saveSketch(sketch, output, stdout) {
+    const json = JSON.stringify(sketch) + '\n';
+    if (output === undefined) {
+        stdout.write(json);
+    } else {
+        await writeFile(output, json);
+    }
+}
+
+/**
+ * Parses a numeric option, rejecting anything that is not a finite number.
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @param {string} name
+ * @returns {number}
+ */
+function parseNumber(value, fallback, name) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new UsageError(`--${name} must be a number, got '${value}'`);
+    }
+    return number;
+}
+
+async function build(args, io) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            epsilon: { type: 'string', short: 'e' },
+            delta: { type: 'string', short: 'd' },
+            top: { type: 'string', short: 'k' },
+            conservative: { type: 'boolean', short: 'c' },
+            hash: { type: 'string' },
+            output: { type: 'string', short: 'o' }
+        }
+    });
+    const epsilon = parseNumber(values.epsilon, 0.001, 'epsilon');
+    const delta = parseNumber(values.delta, 0.01, 'delta');
+    const options = { conservative: !!values.conservative, hash: values.hash };
+    const sketch = values.top === undefined
+        ? CountMinSketch.createEstimate(epsilon, delta, options)
+        : TopKSketch.createEstimate(parseNumber(values.top, 0, 'top'), epsilon, delta, options);
+
+    const sources = positionals.length > 0 ? positionals : [null];
+    for (const source of sources) {
+        // One stream per source, so a file without a trailing newline still ends its last line
+        await pipeline(source === null ? io.stdin : createReadStream(source), createSketchStream(sketch));
+    }
+    await saveSketch(sketch, values.output, io.stdout);
+}
+
+async function query(args, io) {
+    const { positionals } = parseArgs({ args, allowPositionals: true, options: {} });
+    if (positionals.length < 2) {
+        throw new UsageError('query needs a sketch file and at least one key');
+    }
+    const [path, ...keys] = positionals;
+    const sketch = await loadSketch(path);
+    for (const key of keys) {
+        io.stdout.write(`${key}\t${sketch.query(key)}\n`);
+    }
+}
+
+async function merge(args, io) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { output: { type: 'string', short: 'o' } }
+    });
+    if (positionals.length < 1) {
+        throw new UsageError('merge needs at least one sketch file');
+    }
+    const sketches = [];
+    for (const path of positionals) {
+        sketches.push(await loadSketch(path));
+    }
+    const merged = sketches[0];
+    for (const sketch of sketches.slice(1)) {
+        if ((sketch instanceof TopKSketch) !== (merged instanceof TopKSketch)) {
+            throw new Error('Cannot merge sketches built with and without --top');
+        }
+        merged.merge(sketch);
+    }
+    await saveSketch(merged, values.output, io.stdout);
+}
+
+async function top(args, io) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { limit: { type: 'string', short: 'n' } }
+    });
+    if (positionals.length !== 1) {
+        throw new UsageError('top needs exactly one sketch file');
+    }
+    const sketch = await loadSketch(positionals[0]);
+    if (!(sketch instanceof TopKSketch)) {
+        throw new Error(`${positionals[0]} has no candidates; build it with --top <k>`);
+    }
+    const limit = parseNumber(values.limit, sketch.k, 'limit');
+    for (const { key, count } of sketch.topK(limit)) {
+        io.stdout.write(`${key}\t${count}\n`);
+    }
+}
+
+async function info(args, io) {
+    const { positionals } = parseArgs({ args, allowPositionals: true, options: {} });
+    if (positionals.length !== 1) {
+        throw new UsageError('info needs exactly one sketch file');
+    }
+    const loaded = await loadSketch(positionals[0]);
+    const sketch = loaded instanceof TopKSketch ? loaded.sketch : loaded;
+    const lines = [
+        ['type', loaded instanceof TopKSketch ? `TopKSketch (k=${loaded.k})` : 'CountMinSketch'],
+        ['width', sketch.width],
+        ['depth', sketch.depth],
+        ['epsilon', sketch.epsilon],
+        ['delta', sketch.delta],
+        ['totalCount', sketch.totalCount],
+        ['maxError', sketch.epsilon * sketch.totalCount],
+        ['conservative', sketch.conservative],
+        ['hash', sketch.hash],
+        ['counterType', sketch.counterType]
+    ];
+    for (const [name, value] of lines) {
+        io.stdout.write(`${name}\t${value}\n`);
+    }
+}
+
+const COMMANDS = { build, query, merge, top, info };
+
+/**
+ * Runs the `cms` command line.
+ * @param {string[]} argv - Arguments after the executable, e.g. `process.argv.slice(2)`.
+ * @param {object} [io] - Streams to use instead of the process's own.
+ * @param {import('node:stream').Readable} [io.stdin=process.stdin]
+ * @param {import('node:stream').Writable} [io.stdout=process.stdout]
+ * @param {import('node:stream').Writable} [io.stderr=process.stderr]
+ * @returns {Promise<number>} The exit code.
+ */
+export async function run(argv, io = {}) {
+    const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+    const [command, ...args] = argv;
+    if (command === undefined || command === '-h' || command === '--help') {
+        (command === undefined ? stderr : stdout).write(USAGE);
+        return command === undefined ? 1 : 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        stderr.write(`cms: unknown command '${command}'\n\n${USAGE}`);
+        return 1;
+    }
+    try {
+        await COMMANDS[command](args, { stdin, stdout });
+        return 0;
+    } catch (err) {
+        const usage = err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+            err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE';
+        stderr.write(`cms: ${err.message}\n${usage ? `\n${USAGE}` : ''}`);
+        return 1;
+    }
+}
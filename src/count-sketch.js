@@ -0,0 +1,185 @@
+import { resolveHash, resolveSerializedHash, populateHashes } from './hash.js';
+import { resolveWidth, resolveSeeds, notifyAdjust } from './util.js';
+
+/**
+ * Count-Sketch implementation for turnstile streams, where counts can go up and down.
+ * Each row adds `sign * count` to one signed counter, with the sign taken from the
+ * top bit of the row's hash, and queries return the median of `sign * counter`
+ * over the rows. Collisions cancel out on average, so estimates are unbiased but
+ * can fall on either side of the true count.
+ */
+export class CountSketch {
+  width;
+  depth;
+  table; // Signed counters (Float64Array, exact up to 2^53)
+  seeds; // Seeds for hash functions
+  scratchHashes; // Pre-allocated array for hash values
+  scratchEstimates; // Pre-allocated array for per-row estimates
+  totalCount; // Running net total of all counts added
+  hash; // Name of the hash function ('fnv1a', 'murmur3', 'xxhash32' or 'custom')
+  hashKey; // Hash function used for keys
+  doubleHashing; // Whether row indices are derived from two base hashes
+
+  /**
+   * Creates a Count-Sketch.
+   * @param {number} width - The width of the sketch table (number of counters per row).
+   * @param {number} depth - The depth of the sketch table (number of hash functions/rows).
+   * @param {object} [options]
+   * @param {string|Function} [options.hash='fnv1a'] - 'fnv1a', 'murmur3', 'xxhash32' or a `(key, seed) => uint32` function.
+   * @param {boolean} [options.doubleHashing=false] - Hash each key twice and derive every row index from those two hashes.
+   * @param {boolean} [options.strict=false] - Throw instead of rounding a width that is not a power of 2.
+   * @param {Function} [options.onAdjust] - Called with `{ requestedWidth, width }` when the width is rounded up.
+   * @param {Function} [options.logger] - Called with a message when the width is rounded up.
+   * @param {number|string} [options.seed] - Derive every row's hash seed from this unsigned 32-bit integer,
+   *   or pass 'random' for cryptographically secure random seeds.
+   * @param {number[]} [options.seeds] - One unsigned 32-bit hash seed per row (defaults to `0..depth-1`).
+   * @throws {Error} If the dimensions are invalid, or the width is not a power of 2 in strict mode.
+   */
+  constructor(width, depth, options = {}) {
+      this.width = resolveWidth(width, depth, options);
+      this.depth = depth;
+      this.table = new Float64Array(this.width * this.depth);
+      this.scratchHashes = new Uint32Array(this.depth);
+      this.scratchEstimates = new Float64Array(this.depth);
+      this.totalCount = 0;
+      const { name, hashKey } = resolveHash(options.hash);
+      this.hash = name;
+      this.hashKey = hashKey;
+      this.doubleHashing = !!options.doubleHashing;
+
+      this.seeds = resolveSeeds(this.depth, options);
+  }
+
+  /**
+   * Estimates the width and depth based on desired error rate (epsilon) and probability (delta).
+   * Count-Sketch error is relative to the L2 norm of the stream, so it needs a wider table:
+   * width = ceil(3 / epsilon^2)
+   * depth = ceil(ln(1 / delta))
+   * @param {number} epsilon - Maximum error rate relative to the L2 norm.
+   * @param {number} delta - Probability of exceeding the error rate.
+   * @param {object} [options] - Passed through to the constructor.
+   * @returns {CountSketch}
+   */
+  static createEstimate(epsilon, delta, options = {}) {
+      if (epsilon <= 0 || epsilon >= 1 || delta <= 0 || delta >= 1) {
+          throw new Error('Epsilon and delta must be between 0 and 1 (exclusive)');
+      }
+      const calculatedWidth = Math.ceil(3 / (epsilon * epsilon));
+      const depth = Math.ceil(Math.log(1 / delta));
+      const width = resolveWidth(calculatedWidth, depth);
+      if (calculatedWidth !== width) {
+          notifyAdjust(calculatedWidth, width, options, `Creating Count-Sketch with estimated width=${calculatedWidth} (adjusted to ${width}), depth=${depth} for epsilon=${epsilon}, delta=${delta}`);
+      }
+      return new CountSketch(width, depth, options);
+  }
+
+  /**
+   * Adds a signed count for a key. Negative counts model items leaving the stream.
+   * @param {string|number|Uint8Array} key - The key to update.
+   * @param {number} [count=1] - The amount to add (may be negative).
+   */
+  update(key, count = 1) {
+      if (count === 0) return;
+      populateHashes(key, this.depth, this.seeds, this.scratchHashes, this.hashKey, this.doubleHashing);
+      this.totalCount += count;
+      const w = this.width;
+      const bitmask = w - 1;
+      const currentHashes = this.scratchHashes;
+      for (let i = 0; i < this.depth; ++i) {
+          const hash = currentHashes[i];
+          this.table[(hash & bitmask) + (i * w)] += (hash >>> 31) ? -count : count;
+      }
+  }
+
+  /**
+   * Estimates the net count for a key as the median of the signed row counters.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @returns {number} The estimated count (may be negative).
+   */
+  query(key) {
+      populateHashes(key, this.depth, this.seeds, this.scratchHashes, this.hashKey, this.doubleHashing);
+      const w = this.width;
+      const bitmask = w - 1;
+      const currentHashes = this.scratchHashes;
+      const estimates = this.scratchEstimates;
+      for (let i = 0; i < this.depth; ++i) {
+          const hash = currentHashes[i];
+          const counter = this.table[(hash & bitmask) + (i * w)];
+          estimates[i] = (hash >>> 31) ? 0 - counter : counter; // 0 - x avoids -0
+      }
+      estimates.sort();
+      const mid = this.depth >> 1;
+      return this.depth % 2 === 1 ? estimates[mid] : (estimates[mid - 1] + estimates[mid]) / 2;
+  }
+
+  /**
+   * Merges another Count-Sketch into this one.
+   * Both sketches must have the same width, depth, hash function and seeds.
+   * @param {CountSketch} otherSketch - The sketch to merge.
+   * @throws {Error} If dimensions, hash functions or seeds do not match.
+   */
+  merge(otherSketch) {
+      if (this.width !== otherSketch.width || this.depth !== otherSketch.depth) {
+          throw new Error('Cannot merge sketches with different dimensions');
+      }
+      if (this.hash !== otherSketch.hash || this.hashKey !== otherSketch.hashKey || this.doubleHashing !== otherSketch.doubleHashing) {
+          throw new Error('Cannot merge sketches with different hash functions');
+      }
+      if (this.seeds.some((seed, i) => seed !== otherSketch.seeds[i])) {
+          throw new Error('Cannot merge sketches with different seeds');
+      }
+      for (let i = 0; i < this.table.length; i++) {
+          this.table[i] += otherSketch.table[i];
+      }
+      this.totalCount += otherSketch.totalCount;
+  }
+
+  /**
+   * Resets all counters in the sketch to zero.
+   */
+  clear() {
+      this.table.fill(0);
+      this.totalCount = 0;
+  }
+
+  /**
+   * Serializes the sketch to a JSON-compatible object.
+   * @returns {{width: number, depth: number, totalCount: number, hash: string, doubleHashing: boolean, seeds: number[], table: number[]}}
+   */
+  toJSON() {
+      return {
+          width: this.width,
+          depth: this.depth,
+          totalCount: this.totalCount,
+          hash: this.hash,
+          doubleHashing: this.doubleHashing,
+          seeds: this.seeds.slice(),
+          table: Array.from(this.table)
+      };
+  }
+
+  /**
+   * Creates a CountSketch instance from a JSON object.
+   * @param {{width: number, depth: number, totalCount?: number, hash?: string, doubleHashing?: boolean, seeds?: number[], table: number[]}} data - The serialized sketch data.
+   * @param {object} [options]
+   * @param {Function} [options.hash] - The hash function, required when the sketch was built with a custom one.
+   * @returns {CountSketch}
+   * @throws {Error} If data is invalid or its hash function is unavailable.
+   */
+  static fromJSON(data, options = {}) {
+      if (!data || typeof data !== 'object' || !data.width || !data.depth || !Array.isArray(data.table)) {
+          throw new Error('Invalid data format for CountSketch reconstruction');
+      }
+      const sketch = new CountSketch(data.width, data.depth, {
+          hash: resolveSerializedHash(data.hash || 'fnv1a', options.hash),
+          doubleHashing: !!data.doubleHashing,
+          seeds: data.seeds
+      });
+      if (sketch.table.length !== data.table.length) {
+          throw new Error(`Table length mismatch: expected ${sketch.table.length}, got ${data.table.length}`);
+      }
+      sketch.table.set(data.table);
+      sketch.totalCount = typeof data.totalCount === 'number' ? data.totalCount : 0;
+      return sketch;
+  }
+}
@@ -0,0 +1,197 @@
+import { CountMinSketch } from '../index.js';
+
+/**
+ * Range and quantile sketch over the integer domain [0, 2^bits).
+ * Level `l` is a CountMinSketch keyed by `floor(value / 2^l)`, so every dyadic
+ * interval of the domain has a counter at some level. A range query adds up
+ * at most two intervals per level, giving an error of about 2 * bits * epsilon * N.
+ */
+export class DyadicRangeSketch {
+  bits; // Size of the domain as a power of two
+  levels; // One CountMinSketch per level, levels[0] holds exact values
+
+  /**
+   * Creates a dyadic range sketch.
+   * @param {number} bits - Values must be integers in [0, 2^bits), with 1 <= bits <= 32.
+   * @param {number} width - The width of each level's sketch.
+   * @param {number} depth - The depth of each level's sketch.
+   * @param {object} [options] - Passed through to each level's CountMinSketch.
+   * @throws {Error} If bits is out of range.
+   */
+  constructor(bits, width, depth, options) {
+      if (!Number.isInteger(bits) || bits < 1 || bits > 32) {
+          throw new Error('bits must be an integer between 1 and 32');
+      }
+      this.bits = bits;
+      this.levels = new Array(bits);
+      for (let level = 0; level < bits; level++) {
+          this.levels[level] = new CountMinSketch(width, depth, options);
+      }
+  }
+
+  /**
+   * Creates a dyadic range sketch whose level sketches are sized from epsilon and delta.
+   * @param {number} bits - Values must be integers in [0, 2^bits).
+   * @param {number} epsilon - Maximum error rate of each level.
+   * @param {number} delta - Probability of exceeding the error rate at each level.
+   * @param {object} [options] - Passed through to each level's CountMinSketch.
+   * @returns {DyadicRangeSketch}
+   */
+  static createEstimate(bits, epsilon, delta, options) {
+      const sketch = CountMinSketch.createEstimate(epsilon, delta, options);
+      return new DyadicRangeSketch(bits, sketch.width, sketch.depth, options);
+  }
+
+  /**
+   * The running total N of all counts added.
+   * @returns {number}
+   */
+  get totalCount() {
+      return this.levels[0].totalCount;
+  }
+
+  /**
+   * The largest value in the domain, 2^bits - 1.
+   * @returns {number}
+   */
+  get maxValue() {
+      return 2 ** this.bits - 1;
+  }
+
+  /**
+   * Adds a count for a value at every level.
+   * @param {number} value - An integer in [0, 2^bits).
+   * @param {number} [count=1] - The amount to increment the count by.
+   * @throws {Error} If the value is outside the domain.
+   */
+  update(value, count = 1) {
+      if (!Number.isInteger(value) || value < 0 || value > this.maxValue) {
+          throw new Error(`Value must be an integer between 0 and ${this.maxValue}, got ${value}`);
+      }
+      if (count <= 0) return;
+      for (let level = 0; level < this.bits; level++) {
+          this.levels[level].update(Math.floor(value / 2 ** level), count);
+      }
+  }
+
+  /**
+   * Estimates the count of a single value.
+   * @param {number} value
+   * @returns {number}
+   */
+  query(value) {
+      return this.rangeQuery(value, value);
+  }
+
+  /**
+   * Estimates the total count of values in [lo, hi] (inclusive). The range is
+   * split into dyadic intervals, taking at most two intervals per level.
+   * Estimates of 'biguint64' levels are converted to numbers.
+   * @param {number} lo - Lower bound (inclusive), clamped to the domain.
+   * @param {number} hi - Upper bound (inclusive), clamped to the domain.
+   * @returns {number} The estimated count; 0 for an empty range.
+   */
+  rangeQuery(lo, hi) {
+      let low = Math.max(0, Math.ceil(lo));
+      let high = Math.min(this.maxValue, Math.floor(hi)) + 1; // Exclusive
+      let total = 0;
+      for (let level = 0; low < high; level++) {
+          if (level === this.bits) { // Whole domain
+              return total + this.totalCount;
+          }
+          const sketch = this.levels[level];
+          if (low % 2 === 1) {
+              total += Number(sketch.query(low));
+              low++;
+          }
+          if (high % 2 === 1) {
+              high--;
+              total += Number(sketch.query(high));
+          }
+          low /= 2;
+          high /= 2;
+      }
+      return total;
+  }
+
+  /**
+   * Estimates the q-quantile: the smallest value whose cumulative count
+   * reaches `q * N`. Descends the dyadic levels from the top.
+   * @param {number} q - The quantile, between 0 and 1 (inclusive).
+   * @returns {number} The estimated value, or NaN if the sketch is empty.
+   * @throws {Error} If q is out of range.
+   */
+  quantile(q) {
+      if (!(q >= 0 && q <= 1)) {
+          throw new Error('q must be between 0 and 1 (inclusive)');
+      }
+      const n = this.totalCount;
+      if (n === 0) return NaN;
+      const target = Math.max(1, Math.ceil(q * n));
+      let node = 0;
+      let cumulative = 0;
+      for (let level = this.bits - 1; level >= 0; level--) {
+          const left = node * 2;
+          const leftCount = Number(this.levels[level].query(left));
+          if (cumulative + leftCount >= target) {
+              node = left;
+          } else {
+              cumulative += leftCount;
+              node = left + 1;
+          }
+      }
+      return node;
+  }
+
+  /**
+   * Merges another dyadic range sketch into this one, level by level.
+   * @param {DyadicRangeSketch} other - The sketch to merge.
+   * @throws {Error} If the domains differ or a level cannot be merged.
+   */
+  merge(other) {
+      if (this.bits !== other.bits) {
+          throw new Error('Cannot merge range sketches with different domains');
+      }
+      for (let level = 0; level < this.bits; level++) {
+          this.levels[level].merge(other.levels[level]);
+      }
+  }
+
+  /**
+   * Resets every level.
+   */
+  clear() {
+      for (const sketch of this.levels) sketch.clear();
+  }
+
+  /**
+   * Serializes all levels to a JSON-compatible object.
+   * @returns {{bits: number, levels: object[]}}
+   */
+  toJSON() {
+      return {
+          bits: this.bits,
+          levels: this.levels.map(sketch => sketch.toJSON())
+      };
+  }
+
+  /**
+   * Creates a DyadicRangeSketch instance from a JSON object.
+   * @param {{bits: number, levels: object[]}} data - The serialized data.
+   * @param {object} [options] - Passed through to `CountMinSketch.fromJSON`.
+   * @returns {DyadicRangeSketch}
+   * @throws {Error} If data is invalid.
+   */
+  static fromJSON(data, options) {
+      if (!data || typeof data !== 'object' || !data.bits || !Array.isArray(data.levels)) {
+          throw new Error('Invalid data format for DyadicRangeSketch reconstruction');
+      }
+      if (data.levels.length !== data.bits) {
+          throw new Error(`Level count mismatch: expected ${data.bits}, got ${data.levels.length}`);
+      }
+      const levels = data.levels.map(level => CountMinSketch.fromJSON(level, options));
+      const sketch = new DyadicRangeSketch(data.bits, levels[0].width, levels[0].depth);
+      sketch.levels = levels;
+      return sketch;
+  }
+}
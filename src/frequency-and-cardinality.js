@@ -0,0 +1,122 @@
+import { CountMinSketch } from '../index.js';
+import { HyperLogLog } from './hyperloglog.js';
+
+/**
+ * Tracks both "how often did X occur" and "how many distinct X" for one stream.
+ * A CountMinSketch and a HyperLogLog sharing the same hash function are
+ * updated together by a single `update` call.
+ */
+export class FrequencyAndCardinality {
+  sketch; // CountMinSketch for frequencies
+  cardinality; // HyperLogLog for the distinct count
+
+  /**
+   * Creates a combined frequency and cardinality tracker.
+   * @param {number} width - The width of the sketch.
+   * @param {number} depth - The depth of the sketch.
+   * @param {object} [options] - Passed through to the CountMinSketch constructor; `hash` is shared with the HyperLogLog.
+   * @param {number} [options.precision=14] - Precision of the HyperLogLog.
+   */
+  constructor(width, depth, options = {}) {
+      this.sketch = new CountMinSketch(width, depth, options);
+      this.cardinality = new HyperLogLog(options.precision, { hash: options.hash });
+  }
+
+  /**
+   * Creates a tracker whose sketch is sized from epsilon and delta.
+   * @param {number} epsilon - Maximum error rate of the sketch.
+   * @param {number} delta - Probability of exceeding the error rate.
+   * @param {object} [options] - See the constructor.
+   * @returns {FrequencyAndCardinality}
+   */
+  static createEstimate(epsilon, delta, options = {}) {
+      const sketch = CountMinSketch.createEstimate(epsilon, delta, options);
+      const combined = new FrequencyAndCardinality(sketch.width, sketch.depth, options);
+      combined.sketch = sketch;
+      return combined;
+  }
+
+  /**
+   * The running total N of all counts added.
+   * @returns {number}
+   */
+  get totalCount() {
+      return this.sketch.totalCount;
+  }
+
+  /**
+   * Counts a key in the sketch and adds it to the distinct set.
+   * @param {string|number|Uint8Array} key - The key to update.
+   * @param {number} [count=1] - The amount to increment the count by.
+   */
+  update(key, count = 1) {
+      if (count <= 0) return; // Only increment
+      this.sketch.update(key, count);
+      this.cardinality.add(key);
+  }
+
+  /**
+   * Queries the estimated frequency count for a key.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @returns {number|bigint}
+   */
+  query(key) {
+      return this.sketch.query(key);
+  }
+
+  /**
+   * Estimates the number of distinct keys updated.
+   * @returns {number}
+   */
+  distinctCount() {
+      return this.cardinality.count();
+  }
+
+  /**
+   * Merges another tracker into this one.
+   * @param {FrequencyAndCardinality} other - The tracker to merge.
+   * @throws {Error} If the sketches or HyperLogLogs cannot be merged.
+   */
+  merge(other) {
+      this.sketch.merge(other.sketch);
+      this.cardinality.merge(other.cardinality);
+  }
+
+  /**
+   * Resets both the sketch and the HyperLogLog.
+   */
+  clear() {
+      this.sketch.clear();
+      this.cardinality.clear();
+  }
+
+  /**
+   * Serializes the tracker to a JSON-compatible object.
+   * @returns {{sketch: object, cardinality: object}}
+   */
+  toJSON() {
+      return {
+          sketch: this.sketch.toJSON(),
+          cardinality: this.cardinality.toJSON()
+      };
+  }
+
+  /**
+   * Creates a FrequencyAndCardinality instance from a JSON object.
+   * @param {{sketch: object, cardinality: object}} data - The serialized data.
+   * @param {object} [options] - Passed through to both `fromJSON` methods.
+   * @returns {FrequencyAndCardinality}
+   * @throws {Error} If data is invalid.
+   */
+  static fromJSON(data, options) {
+      if (!data || typeof data !== 'object' || !data.sketch || !data.cardinality) {
+          throw new Error('Invalid data format for FrequencyAndCardinality reconstruction');
+      }
+      const sketch = CountMinSketch.fromJSON(data.sketch, options);
+      const cardinality = HyperLogLog.fromJSON(data.cardinality, options);
+      const combined = new FrequencyAndCardinality(sketch.width, sketch.depth, { precision: cardinality.precision });
+      combined.sketch = sketch;
+      combined.cardinality = cardinality;
+      return combined;
+  }
+}
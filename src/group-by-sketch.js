@@ -0,0 +1,183 @@
+import { CountMinSketch } from '../index.js';
+
+/**
+ * Builds the key a group's sketch stores for a record. Attributes are taken in
+ * the group's (sorted) order and each value is prefixed with its type and
+ * length, so ('a|b', 'c') and ('a', 'b|c'), or 42 and '42', never collide.
+ * @param {string[]} attributes - The group's attribute names, sorted.
+ * @param {object} record - The record or filter to read values from.
+ * @returns {string}
+ * @throws {Error} If the record lacks one of the attributes.
+ */
+function compositeKey(attributes, record) {
+    let key = '';
+    for (const attribute of attributes) {
+        const value = record[attribute];
+        if (value === undefined || value === null) {
+            throw new Error(`Record is missing attribute '${attribute}'`);
+        }
+        const text = String(value);
+        key += `${typeof value === 'number' ? 'n' : 's'}${text.length}:${text}`;
+    }
+    return key;
+}
+
+/**
+ * Identifies a set of attribute names independently of their order.
+ * @param {string[]} attributes - Sorted attribute names.
+ * @returns {string}
+ */
+function groupId(attributes) {
+    return JSON.stringify(attributes);
+}
+
+/**
+ * Group-by sketch for records with several attributes, e.g. (tenant, endpoint, status).
+ * Each configured group (a subset of the attributes) has its own CountMinSketch
+ * keyed by the record's values for that subset, so `query` can answer
+ * "how many events for tenant a" and "how many for tenant a on /x" alike.
+ */
+export class GroupBySketch {
+  groups; // Sorted attribute names of each group
+  sketches; // One CountMinSketch per group
+  groupIndex; // Map from group id to its index in `groups`
+
+  /**
+   * Creates a group-by sketch.
+   * @param {string[][]} groups - The attribute subsets to count, e.g. `[['tenant'], ['tenant', 'endpoint']]`.
+   * @param {number} width - The width of each group's sketch.
+   * @param {number} depth - The depth of each group's sketch.
+   * @param {object} [options] - Passed through to each group's CountMinSketch.
+   * @throws {Error} If groups is empty, or a group is empty, repeats an attribute or duplicates another group.
+   */
+  constructor(groups, width, depth, options) {
+      if (!Array.isArray(groups) || groups.length === 0) {
+          throw new Error('At least one group of attributes is required');
+      }
+      this.groups = [];
+      this.sketches = [];
+      this.groupIndex = new Map();
+      for (const group of groups) {
+          if (!Array.isArray(group) || group.length === 0 || !group.every(attribute => typeof attribute === 'string')) {
+              throw new Error('Each group must be a non-empty array of attribute names');
+          }
+          const attributes = [...group].sort();
+          if (new Set(attributes).size !== attributes.length) {
+              throw new Error(`Group repeats an attribute: ${group.join(', ')}`);
+          }
+          const id = groupId(attributes);
+          if (this.groupIndex.has(id)) {
+              throw new Error(`Duplicate group: ${attributes.join(', ')}`);
+          }
+          this.groupIndex.set(id, this.groups.length);
+          this.groups.push(attributes);
+          this.sketches.push(new CountMinSketch(width, depth, options));
+      }
+  }
+
+  /**
+   * Creates a group-by sketch whose group sketches are sized from epsilon and delta.
+   * @param {string[][]} groups - The attribute subsets to count.
+   * @param {number} epsilon - Maximum error rate of each group.
+   * @param {number} delta - Probability of exceeding the error rate in each group.
+   * @param {object} [options] - Passed through to each group's CountMinSketch.
+   * @returns {GroupBySketch}
+   */
+  static createEstimate(groups, epsilon, delta, options) {
+      const sketch = CountMinSketch.createEstimate(epsilon, delta, options);
+      return new GroupBySketch(groups, sketch.width, sketch.depth, options);
+  }
+
+  /**
+   * The running total N of all counts added.
+   * @returns {number}
+   */
+  get totalCount() {
+      return this.sketches[0].totalCount;
+  }
+
+  /**
+   * Counts a record in every group.
+   * @param {object} record - The record's attribute values, e.g. `{tenant: 'a', endpoint: '/x', status: 200}`.
+   * @param {number} [count=1] - The amount to increment the count by.
+   * @throws {Error} If the record lacks an attribute used by any group.
+   */
+  update(record, count = 1) {
+      if (count <= 0) return; // Only increment
+      const keys = this.groups.map(attributes => compositeKey(attributes, record)); // Validate before updating any group
+      for (let i = 0; i < keys.length; i++) {
+          this.sketches[i].update(keys[i], count);
+      }
+  }
+
+  /**
+   * Estimates how many records matched a filter. The filter's attributes must
+   * be exactly one of the configured groups; an empty filter returns `totalCount`.
+   * @param {object} filter - Attribute values to match, e.g. `{tenant: 'a', endpoint: '/x'}`.
+   * @returns {number|bigint} The estimated count (a bigint for 'biguint64' counters).
+   * @throws {Error} If no group has exactly the filter's attributes.
+   */
+  query(filter) {
+      const attributes = Object.keys(filter).sort();
+      if (attributes.length === 0) {
+          return this.totalCount;
+      }
+      const index = this.groupIndex.get(groupId(attributes));
+      if (index === undefined) {
+          throw new Error(`No group tracks the attributes ${attributes.join(', ')}`);
+      }
+      return this.sketches[index].query(compositeKey(attributes, filter));
+  }
+
+  /**
+   * Merges another group-by sketch with the same groups into this one.
+   * @param {GroupBySketch} other - The sketch to merge.
+   * @throws {Error} If the groups differ or a group's sketch cannot be merged.
+   */
+  merge(other) {
+      if (other.groups.length !== this.groups.length || !other.groups.every(attributes => this.groupIndex.has(groupId(attributes)))) {
+          throw new Error('Cannot merge group-by sketches with different groups');
+      }
+      for (let i = 0; i < other.groups.length; i++) {
+          this.sketches[this.groupIndex.get(groupId(other.groups[i]))].merge(other.sketches[i]);
+      }
+  }
+
+  /**
+   * Resets every group.
+   */
+  clear() {
+      for (const sketch of this.sketches) sketch.clear();
+  }
+
+  /**
+   * Serializes every group to a JSON-compatible object.
+   * @returns {{groups: string[][], sketches: object[]}}
+   */
+  toJSON() {
+      return {
+          groups: this.groups.map(attributes => attributes.slice()),
+          sketches: this.sketches.map(sketch => sketch.toJSON())
+      };
+  }
+
+  /**
+   * Creates a GroupBySketch instance from a JSON object.
+   * @param {{groups: string[][], sketches: object[]}} data - The serialized data.
+   * @param {object} [options] - Passed through to `CountMinSketch.fromJSON`.
+   * @returns {GroupBySketch}
+   * @throws {Error} If data is invalid.
+   */
+  static fromJSON(data, options) {
+      if (!data || typeof data !== 'object' || !Array.isArray(data.groups) || data.groups.length === 0 || !Array.isArray(data.sketches)) {
+          throw new Error('Invalid data format for GroupBySketch reconstruction');
+      }
+      if (data.sketches.length !== data.groups.length) {
+          throw new Error(`Group count mismatch: expected ${data.groups.length}, got ${data.sketches.length}`);
+      }
+      const sketches = data.sketches.map(sketch => CountMinSketch.fromJSON(sketch, options));
+      const groupBy = new GroupBySketch(data.groups, sketches[0].width, sketches[0].depth);
+      groupBy.sketches = sketches;
+      return groupBy;
+  }
+}
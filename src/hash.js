@@ -0,0 +1,294 @@
+/**
+ * Basic 32-bit FNV-1a hash function for strings.
+ * @param {string} str The string to hash.
+ * @param {number} seed A seed value to alter the hash output.
+ * @returns {number} A 32-bit integer hash.
+ */
+export function hashStringFNV1a(str, seed = 0) {
+  let hash = 2166136261; // FNV offset basis
+  const len = str.length;
+  hash ^= seed;
+
+  for (var i = 0; i < len; i++) {
+      hash = Math.imul(hash ^ str.charCodeAt(i), 16777619); // FNV prime
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 32-bit FNV-1a hash function for bytes. For ASCII input this matches
+ * `hashStringFNV1a` on the equivalent string.
+ * @param {Uint8Array} bytes The bytes to hash.
+ * @param {number} seed A seed value to alter the hash output.
+ * @returns {number} A 32-bit integer hash.
+ */
+export function hashBytesFNV1a(bytes, seed = 0) {
+  let hash = 2166136261;
+  const len = bytes.length;
+  hash ^= seed;
+
+  for (let i = 0; i < len; i++) {
+      hash = Math.imul(hash ^ bytes[i], 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 (x86, 32-bit) for bytes.
+ * @param {Uint8Array} bytes The bytes to hash.
+ * @param {number} seed A seed value to alter the hash output.
+ * @returns {number} A 32-bit integer hash.
+ */
+export function hashBytesMurmur3(bytes, seed = 0) {
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const len = bytes.length;
+  const blocks = len & ~3;
+  let h = seed | 0;
+  let k;
+
+  for (let i = 0; i < blocks; i += 4) {
+      k = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      h ^= k;
+      h = (h << 13) | (h >>> 19);
+      h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  k = 0;
+  switch (len & 3) {
+      case 3: k ^= bytes[blocks + 2] << 16; // falls through
+      case 2: k ^= bytes[blocks + 1] << 8; // falls through
+      case 1:
+          k ^= bytes[blocks];
+          k = Math.imul(k, c1);
+          k = (k << 15) | (k >>> 17);
+          k = Math.imul(k, c2);
+          h ^= k;
+  }
+
+  h ^= len;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const XXH_PRIME1 = 0x9e3779b1;
+const XXH_PRIME2 = 0x85ebca77;
+const XXH_PRIME3 = 0xc2b2ae3d;
+const XXH_PRIME4 = 0x27d4eb2f;
+const XXH_PRIME5 = 0x165667b1;
+
+/**
+ * Reads a little-endian 32-bit word.
+ * @param {Uint8Array} bytes
+ * @param {number} i
+ * @returns {number}
+ */
+function readUint32LE(bytes, i) {
+    return bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+}
+
+/**
+ * One xxHash32 accumulator round.
+ * @param {number} acc
+ * @param {number} lane
+ * @returns {number}
+ */
+function xxhRound(acc, lane) {
+    acc = (acc + Math.imul(lane, XXH_PRIME2)) | 0;
+    acc = (acc << 13) | (acc >>> 19);
+    return Math.imul(acc, XXH_PRIME1);
+}
+
+/**
+ * xxHash32 for bytes.
+ * @param {Uint8Array} bytes The bytes to hash.
+ * @param {number} seed A seed value to alter the hash output.
+ * @returns {number} A 32-bit integer hash.
+ */
+export function hashBytesXXH32(bytes, seed = 0) {
+  const len = bytes.length;
+  let i = 0;
+  let h;
+
+  if (len >= 16) {
+      let v1 = (seed + XXH_PRIME1 + XXH_PRIME2) | 0;
+      let v2 = (seed + XXH_PRIME2) | 0;
+      let v3 = seed | 0;
+      let v4 = (seed - XXH_PRIME1) | 0;
+      const limit = len - 16;
+      do {
+          v1 = xxhRound(v1, readUint32LE(bytes, i));
+          v2 = xxhRound(v2, readUint32LE(bytes, i + 4));
+          v3 = xxhRound(v3, readUint32LE(bytes, i + 8));
+          v4 = xxhRound(v4, readUint32LE(bytes, i + 12));
+          i += 16;
+      } while (i <= limit);
+      h = ((v1 << 1) | (v1 >>> 31)) + ((v2 << 7) | (v2 >>> 25)) +
+          ((v3 << 12) | (v3 >>> 20)) + ((v4 << 18) | (v4 >>> 14));
+  } else {
+      h = seed + XXH_PRIME5;
+  }
+  h = (h + len) | 0;
+
+  for (; i + 4 <= len; i += 4) {
+      h = (h + Math.imul(readUint32LE(bytes, i), XXH_PRIME3)) | 0;
+      h = Math.imul((h << 17) | (h >>> 15), XXH_PRIME4);
+  }
+  for (; i < len; i++) {
+      h = (h + Math.imul(bytes[i], XXH_PRIME5)) | 0;
+      h = Math.imul((h << 11) | (h >>> 21), XXH_PRIME1);
+  }
+
+  h ^= h >>> 15;
+  h = Math.imul(h, XXH_PRIME2);
+  h ^= h >>> 13;
+  h = Math.imul(h, XXH_PRIME3);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Scratch space for turning numbers and strings into bytes without allocating per key
+const numberScratch = new Float64Array(1);
+const numberBytes = new Uint8Array(numberScratch.buffer);
+const utf8Encoder = new TextEncoder();
+let utf8Scratch = new Uint8Array(256);
+
+/**
+ * MurmurHash3 32-bit finalizer. A bijection that spreads every input bit over
+ * the whole output, for consumers that read the top bits of a hash.
+ * @param {number} h A 32-bit integer.
+ * @returns {number} A 32-bit integer hash.
+ */
+export function fmix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Encodes a number as the 8 bytes of its float64 representation.
+ * `-0` is normalized to `0` so that equal numbers hash equally.
+ * @param {number} num
+ * @returns {Uint8Array} A shared scratch view, valid until the next call.
+ */
+function numberToBytes(num) {
+    numberScratch[0] = num === 0 ? 0 : num;
+    return numberBytes;
+}
+
+/**
+ * Encodes a string as UTF-8.
+ * @param {string} str
+ * @returns {Uint8Array} A shared scratch view, valid until the next call.
+ */
+function stringToUTF8(str) {
+    if (utf8Scratch.length < str.length * 3) {
+        utf8Scratch = new Uint8Array(str.length * 3);
+    }
+    const { written } = utf8Encoder.encodeInto(str, utf8Scratch);
+    return utf8Scratch.subarray(0, written);
+}
+
+/**
+ * Builds a key hash function from a byte hash function. Strings are hashed with
+ * `hashString` when given, otherwise as UTF-8; numbers as their float64 bytes.
+ * @param {(bytes: Uint8Array, seed: number) => number} hashBytes
+ * @param {(str: string, seed: number) => number} [hashString]
+ * @returns {(key: string|number|Uint8Array, seed: number) => number}
+ */
+function createKeyHash(hashBytes, hashString) {
+    return function hashKey(key, seed) {
+        if (typeof key === 'string') {
+            return hashString ? hashString(key, seed) : hashBytes(stringToUTF8(key), seed);
+        }
+        if (typeof key === 'number') {
+            return hashBytes(numberToBytes(key), seed);
+        }
+        if (key instanceof Uint8Array) {
+            return hashBytes(key, seed);
+        }
+        throw new Error(`Unsupported key type: ${key === null ? 'null' : typeof key}. Keys must be strings, numbers or Uint8Arrays`);
+    };
+}
+
+/**
+ * Built-in key hash functions by name. FNV-1a keeps hashing strings per UTF-16
+ * code unit, so sketches built before pluggable hashing keep their layout.
+ */
+export const HASH_FUNCTIONS = {
+    fnv1a: createKeyHash(hashBytesFNV1a, hashStringFNV1a),
+    murmur3: createKeyHash(hashBytesMurmur3),
+    xxhash32: createKeyHash(hashBytesXXH32)
+};
+
+/**
+ * Resolves a hash option to a name and a key hash function.
+ * @param {string|Function} [hash='fnv1a'] A built-in hash name or a `(key, seed) => uint32` function.
+ * @returns {{name: string, hashKey: (key: any, seed: number) => number}}
+ * @throws {Error} If the hash name is unknown.
+ */
+export function resolveHash(hash = 'fnv1a') {
+    if (typeof hash === 'function') {
+        return { name: 'custom', hashKey: hash };
+    }
+    if (!Object.prototype.hasOwnProperty.call(HASH_FUNCTIONS, hash)) {
+        throw new Error(`Unknown hash function: ${hash}. Expected one of ${Object.keys(HASH_FUNCTIONS).join(', ')} or a function`);
+    }
+    return { name: hash, hashKey: HASH_FUNCTIONS[hash] };
+}
+
+/**
+ * Picks the hash option for a deserialized sketch, refusing to pair a sketch
+ * with a hash function other than the one it was built with.
+ * @param {string} serialized The hash name recorded in the serialized sketch.
+ * @param {string|Function} [provided] The hash option passed by the caller.
+ * @returns {string|Function}
+ * @throws {Error} If the hashes are incompatible.
+ */
+export function resolveSerializedHash(serialized, provided) {
+    if (serialized === 'custom') {
+        if (typeof provided !== 'function') {
+            throw new Error('Sketch was built with a custom hash function; pass it as options.hash');
+        }
+        return provided;
+    }
+    if (provided !== undefined && provided !== serialized) {
+        throw new Error(`Hash function mismatch: sketch was built with ${serialized}`);
+    }
+    return serialized;
+}
+
+/**
+ * Generates multiple hash values for a key and stores them in a pre-allocated array.
+ * With double hashing (Kirsch-Mitzenmacher), the key is only hashed twice and
+ * row `i` uses `h1 + i * h2`; otherwise the key is hashed once per row seed.
+ * @param {string|number|Uint8Array} key The key to hash.
+ * @param {number} depth The number of hash values to generate (number of rows).
+ * @param {number[]} seeds Pre-generated seeds for each hash function.
+ * @param {Uint32Array} outHashes Pre-allocated array to store the hash values.
+ * @param {(key: string|number|Uint8Array, seed: number) => number} hashKey The key hash function.
+ * @param {boolean} [doubleHashing=false] Derive all rows from two base hashes.
+ */
+export function populateHashes(key, depth, seeds, outHashes, hashKey, doubleHashing = false) {
+    if (doubleHashing) {
+        const h1 = hashKey(key, seeds[0]);
+        const h2 = hashKey(key, h1) | 1; // Odd, so every row lands on a different offset
+        for (let i = 0; i < depth; ++i) {
+            outHashes[i] = (h1 + Math.imul(i, h2)) >>> 0;
+        }
+        return;
+    }
+    for (let i = 0; i < depth; ++i) {
+        outHashes[i] = hashKey(key, seeds[i]);
+    }
+}
@@ -0,0 +1,168 @@
+import { resolveHash, resolveSerializedHash, fmix32 } from './hash.js';
+
+const MIN_PRECISION = 4;
+const MAX_PRECISION = 16;
+const TWO_32 = 2 ** 32;
+
+/**
+ * HyperLogLog distinct-count estimator.
+ * Keys are hashed with the same key hash functions as CountMinSketch (FNV-1a by
+ * default), then passed through the MurmurHash3 finalizer so that the top bits,
+ * which pick the register, are well mixed. The standard error is about
+ * `1.04 / sqrt(2^precision)`.
+ */
+export class HyperLogLog {
+  precision; // Number of index bits; there are 2^precision registers
+  registers; // Largest rank seen per register (Uint8Array)
+  hash; // Name of the hash function ('fnv1a', 'murmur3', 'xxhash32' or 'custom')
+  hashKey; // Hash function used for keys
+  seed; // Seed passed to the hash function
+
+  /**
+   * Creates a HyperLogLog.
+   * @param {number} [precision=14] - Index bits, between 4 and 16. Uses `2^precision` bytes.
+   * @param {object} [options]
+   * @param {string|Function} [options.hash='fnv1a'] - 'fnv1a', 'murmur3', 'xxhash32' or a `(key, seed) => uint32` function.
+   * @param {number} [options.seed=0] - Unsigned 32-bit seed for the hash function.
+   * @throws {Error} If precision or seed are out of range, or the hash is unknown.
+   */
+  constructor(precision = 14, options = {}) {
+      if (!Number.isInteger(precision) || precision < MIN_PRECISION || precision > MAX_PRECISION) {
+          throw new Error(`Precision must be an integer between ${MIN_PRECISION} and ${MAX_PRECISION}, got ${precision}`);
+      }
+      const seed = options.seed === undefined ? 0 : options.seed;
+      if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+          throw new Error(`Seed must be an unsigned 32-bit integer, got ${seed}`);
+      }
+      this.precision = precision;
+      this.registers = new Uint8Array(2 ** precision);
+      const { name, hashKey } = resolveHash(options.hash);
+      this.hash = name;
+      this.hashKey = hashKey;
+      this.seed = seed;
+  }
+
+  /**
+   * Creates a HyperLogLog with the smallest precision whose standard error is at most `relativeError`.
+   * precision = ceil(log2((1.04 / relativeError)^2)), clamped to [4, 16].
+   * @param {number} relativeError - Desired standard error (e.g., 0.01 for 1%).
+   * @param {object} [options] - Passed through to the constructor.
+   * @returns {HyperLogLog}
+   * @throws {Error} If relativeError is not between 0 and 1 (exclusive).
+   */
+  static createEstimate(relativeError, options) {
+      if (!(relativeError > 0 && relativeError < 1)) {
+          throw new Error('Relative error must be between 0 and 1 (exclusive)');
+      }
+      const precision = Math.ceil(Math.log2((1.04 / relativeError) ** 2));
+      return new HyperLogLog(Math.min(MAX_PRECISION, Math.max(MIN_PRECISION, precision)), options);
+  }
+
+  /**
+   * Adds a key to the set.
+   * @param {string|number|Uint8Array} key - The key to add.
+   */
+  add(key) {
+      const hash = fmix32(this.hashKey(key, this.seed));
+      const p = this.precision;
+      const index = hash >>> (32 - p);
+      // Rank of the first set bit in the remaining 32 - p bits; the guard bit caps it at 33 - p
+      const rank = Math.clz32((hash << p) | (1 << (p - 1))) + 1;
+      if (rank > this.registers[index]) {
+          this.registers[index] = rank;
+      }
+  }
+
+  /**
+   * Estimates the number of distinct keys added, with the small-range
+   * (linear counting) and large-range corrections for 32-bit hashes.
+   * @returns {number}
+   */
+  count() {
+      const registers = this.registers;
+      const m = registers.length;
+      let sum = 0;
+      let zeros = 0;
+      for (let i = 0; i < m; i++) {
+          sum += 2 ** -registers[i];
+          if (registers[i] === 0) zeros++;
+      }
+      const alpha = m === 16 ? 0.673 : m === 32 ? 0.697 : m === 64 ? 0.709 : 0.7213 / (1 + 1.079 / m);
+      let estimate = alpha * m * m / sum;
+      if (estimate <= 2.5 * m && zeros > 0) {
+          estimate = m * Math.log(m / zeros);
+      } else if (estimate > TWO_32 / 30) {
+          estimate = -TWO_32 * Math.log(1 - estimate / TWO_32);
+      }
+      return Math.round(estimate);
+  }
+
+  /**
+   * Merges another HyperLogLog into this one, giving the distinct count of the union.
+   * @param {HyperLogLog} other - The HyperLogLog to merge.
+   * @throws {Error} If precisions, hash functions or seeds do not match.
+   */
+  merge(other) {
+      if (this.precision !== other.precision) {
+          throw new Error('Cannot merge HyperLogLogs with different precisions');
+      }
+      if (this.hash !== other.hash || this.hashKey !== other.hashKey) {
+          throw new Error('Cannot merge HyperLogLogs with different hash functions');
+      }
+      if (this.seed !== other.seed) {
+          throw new Error('Cannot merge HyperLogLogs with different seeds');
+      }
+      const registers = this.registers;
+      const otherRegisters = other.registers;
+      for (let i = 0; i < registers.length; i++) {
+          if (otherRegisters[i] > registers[i]) registers[i] = otherRegisters[i];
+      }
+  }
+
+  /**
+   * Resets all registers to zero.
+   */
+  clear() {
+      this.registers.fill(0);
+  }
+
+  /**
+   * Serializes the HyperLogLog to a JSON-compatible object.
+   * @returns {{precision: number, hash: string, seed: number, registers: number[]}}
+   */
+  toJSON() {
+      return {
+          precision: this.precision,
+          hash: this.hash,
+          seed: this.seed,
+          registers: Array.from(this.registers)
+      };
+  }
+
+  /**
+   * Creates a HyperLogLog instance from a JSON object.
+   * @param {{precision: number, hash?: string, seed?: number, registers: number[]}} data - The serialized data.
+   * @param {object} [options]
+   * @param {Function} [options.hash] - The hash function, required when the HyperLogLog was built with a custom one.
+   * @returns {HyperLogLog}
+   * @throws {Error} If data is invalid or its hash function is unavailable.
+   */
+  static fromJSON(data, options = {}) {
+      if (!data || typeof data !== 'object' || !data.precision || !Array.isArray(data.registers)) {
+          throw new Error('Invalid data format for HyperLogLog reconstruction');
+      }
+      const hll = new HyperLogLog(data.precision, {
+          hash: resolveSerializedHash(data.hash || 'fnv1a', options.hash),
+          seed: data.seed
+      });
+      if (hll.registers.length !== data.registers.length) {
+          throw new Error(`Register count mismatch: expected ${hll.registers.length}, got ${data.registers.length}`);
+      }
+      const maxRank = 33 - hll.precision;
+      if (!data.registers.every(rank => Number.isInteger(rank) && rank >= 0 && rank <= maxRank)) {
+          throw new Error(`Register values must be integers between 0 and ${maxRank}`);
+      }
+      hll.registers.set(data.registers);
+      return hll;
+  }
+}
@@ -0,0 +1,181 @@
+import { CountMinSketch } from '../index.js';
+import { MAX_WIDTH, MAX_TABLE_LENGTH } from './util.js';
+
+/**
+ * Count-Min Sketch that grows with the stream. Updates go to the newest layer;
+ * once that layer has absorbed its capacity, a layer `growthFactor` times wider
+ * (with a `growthFactor` times larger capacity) is added for new updates, and
+ * `query` sums the estimates of all layers. Every layer therefore contributes
+ * about the same absolute error, `e / width * capacity` of the first layer, so
+ * the error grows with the number of layers (logarithmically in N) instead of
+ * linearly in N.
+ */
+export class ScalableSketch {
+  layers; // CountMinSketch layers, oldest first; updates go to the last one
+  capacity; // Total count the first layer absorbs before a new layer is added
+  growthFactor; // Width and capacity multiplier from one layer to the next
+
+  /**
+   * Creates a scalable sketch with a single layer.
+   * @param {number} width - The width of the first layer.
+   * @param {number} depth - The depth of every layer.
+   * @param {object} options - Growth options; the rest is passed through to the first layer's CountMinSketch.
+   * @param {number} options.capacity - Total count the first layer absorbs before a wider layer is added.
+   * @param {number} [options.growthFactor=2] - Power of 2 by which each layer's width and capacity grow.
+   * @throws {Error} If the growth options are invalid.
+   */
+  constructor(width, depth, options = {}) {
+      const { capacity, growthFactor = 2 } = options;
+      if (!(capacity > 0) || !Number.isFinite(capacity)) {
+          throw new Error(`capacity must be a positive number, got ${capacity}`);
+      }
+      if (!Number.isInteger(growthFactor) || growthFactor < 2 || (growthFactor & (growthFactor - 1)) !== 0) {
+          throw new Error(`growthFactor must be a power of 2 of at least 2, got ${growthFactor}`);
+      }
+      this.capacity = capacity;
+      this.growthFactor = growthFactor;
+      this.layers = [new CountMinSketch(width, depth, options)];
+  }
+
+  /**
+   * Creates a scalable sketch whose first layer is sized from epsilon and delta.
+   * @param {number} epsilon - Maximum error rate of the first layer.
+   * @param {number} delta - Probability of exceeding the error rate in each layer.
+   * @param {object} options - See the constructor; `capacity` is required.
+   * @returns {ScalableSketch}
+   */
+  static createEstimate(epsilon, delta, options = {}) {
+      const sketch = CountMinSketch.createEstimate(epsilon, delta, options);
+      return new ScalableSketch(sketch.width, sketch.depth, options);
+  }
+
+  /**
+   * The running total N of all counts added, over all layers.
+   * @returns {number}
+   */
+  get totalCount() {
+      let total = 0;
+      for (const layer of this.layers) total += layer.totalCount;
+      return total;
+  }
+
+  /**
+   * The total count the newest layer absorbs before the next layer is added.
+   * @returns {number}
+   */
+  get layerCapacity() {
+      return this.capacity * this.growthFactor ** (this.layers.length - 1);
+  }
+
+  /**
+   * Appends a layer `growthFactor` times wider than the newest one, with the
+   * same depth, update mode, hashing, counter type and seeds. Widths stop
+   * growing at the largest table a CountMinSketch can hold.
+   * @returns {CountMinSketch} The new layer.
+   */
+  addLayer() {
+      const last = this.layers[this.layers.length - 1];
+      let width = Math.min(last.width * this.growthFactor, MAX_WIDTH);
+      while (width > last.width && width * last.depth > MAX_TABLE_LENGTH) {
+          width /= 2;
+      }
+      const layer = new CountMinSketch(width, last.depth, {
+          conservative: last.conservative,
+          hash: last.hash === 'custom' ? last.hashKey : last.hash,
+          doubleHashing: last.doubleHashing,
+          counterType: last.counterType,
+          seeds: last.seeds
+      });
+      this.layers.push(layer);
+      return layer;
+  }
+
+  /**
+   * Counts a key in the newest layer, adding a layer first if the newest one is full.
+   * @param {string|number|Uint8Array} key - The key to update.
+   * @param {number} [count=1] - The amount to increment the count by.
+   */
+  update(key, count = 1) {
+      if (count <= 0) return; // Only increment
+      let layer = this.layers[this.layers.length - 1];
+      if (layer.totalCount >= this.layerCapacity) {
+          layer = this.addLayer();
+      }
+      layer.update(key, count);
+  }
+
+  /**
+   * Estimates the count for a key as the sum of every layer's estimate.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @returns {number|bigint} The estimated count (a bigint for 'biguint64' counters).
+   */
+  query(key) {
+      let total = this.layers[0].query(key);
+      for (let i = 1; i < this.layers.length; i++) {
+          total += this.layers[i].query(key);
+      }
+      return total;
+  }
+
+  /**
+   * Merges another scalable sketch into this one, layer by layer. Layers this
+   * sketch does not have yet are added first; layers of different widths are
+   * merged as `CountMinSketch.merge` does.
+   * @param {ScalableSketch} other - The sketch to merge.
+   * @throws {Error} If the growth options differ or two layers cannot be merged.
+   */
+  merge(other) {
+      if (this.capacity !== other.capacity || this.growthFactor !== other.growthFactor) {
+          throw new Error('Cannot merge scalable sketches with different capacities or growth factors');
+      }
+      while (this.layers.length < other.layers.length) {
+          this.addLayer();
+      }
+      for (let i = 0; i < other.layers.length; i++) {
+          this.layers[i].merge(other.layers[i]);
+      }
+  }
+
+  /**
+   * Drops every layer but the first and resets it.
+   */
+  clear() {
+      this.layers.length = 1;
+      this.layers[0].clear();
+  }
+
+  /**
+   * Serializes the growth options and every layer to a JSON-compatible object.
+   * @returns {{capacity: number, growthFactor: number, layers: object[]}}
+   */
+  toJSON() {
+      return {
+          capacity: this.capacity,
+          growthFactor: this.growthFactor,
+          layers: this.layers.map(layer => layer.toJSON())
+      };
+  }
+
+  /**
+   * Creates a ScalableSketch instance from a JSON object.
+   * @param {{capacity: number, growthFactor: number, layers: object[]}} data - The serialized data.
+   * @param {object} [options] - Passed through to `CountMinSketch.fromJSON`.
+   * @returns {ScalableSketch}
+   * @throws {Error} If data is invalid.
+   */
+  static fromJSON(data, options) {
+      if (!data || typeof data !== 'object' || !Array.isArray(data.layers) || data.layers.length === 0) {
+          throw new Error('Invalid data format for ScalableSketch reconstruction');
+      }
+      const layers = data.layers.map(layer => CountMinSketch.fromJSON(layer, options));
+      if (layers.some(layer => layer.depth !== layers[0].depth)) {
+          throw new Error('Every layer of a ScalableSketch must have the same depth');
+      }
+      const scalable = new ScalableSketch(layers[0].width, layers[0].depth, {
+          capacity: data.capacity,
+          growthFactor: data.growthFactor
+      });
+      scalable.layers = layers;
+      return scalable;
+  }
+}
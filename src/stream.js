@@ -0,0 +1,188 @@
+import { Writable, Transform } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+
+/**
+ * Builds the chunk handler shared by the Writable and Transform variants.
+ * In line mode, chunks are decoded as UTF-8 and split on newlines, and a
+ * trailing partial line is held back until the next chunk or the end of the stream.
+ * @param {object} sketch - Any sketch with `update(key, count)` and `toJSON()`.
+ * @param {object} options - See `createSketchStream`.
+ * @returns {{attach: Function, consume: Function, end: Function, stop: Function}}
+ */
+function createIngestor(sketch, options) {
+    if (!sketch || typeof sketch.update !== 'function' || typeof sketch.toJSON !== 'function') {
+        throw new Error('createSketchStream requires a sketch with update() and toJSON()');
+    }
+    const {
+        keyFn = chunk => chunk,
+        countFn = () => 1,
+        objectMode = false,
+        snapshotEvery = 0,
+        snapshotInterval = 0
+    } = options;
+    if (typeof keyFn !== 'function' || typeof countFn !== 'function') {
+        throw new Error('keyFn and countFn must be functions');
+    }
+    if (!(snapshotEvery >= 0) || !(snapshotInterval >= 0)) {
+        throw new Error('snapshotEvery and snapshotInterval must be non-negative');
+    }
+
+    const decoder = objectMode ? null : new StringDecoder('utf8');
+    let pending = '';
+    let sinceSnapshot = 0;
+    let stream = null;
+    let timer = null;
+
+    const snapshot = () => stream.emit('snapshot', sketch.toJSON());
+
+    const record = (chunk) => {
+        const key = keyFn(chunk);
+        if (key === undefined || key === null) return; // Filtered out by keyFn
+        sketch.update(key, countFn(chunk));
+        if (snapshotEvery > 0 && ++sinceSnapshot >= snapshotEvery) {
+            sinceSnapshot = 0;
+            snapshot();
+        }
+    };
+
+    const recordLines = (text) => {
+        const lines = text.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            const trimmed = line.endsWith('\r') ? line.slice(0, -1) : line;
+            if (trimmed !== '') record(trimmed);
+        }
+    };
+
+    return {
+        /**
+         * Attaches the stream that snapshot events are emitted on and starts the snapshot timer.
+         * @param {import('node:stream').Stream} target
+         */
+        attach(target) {
+            stream = target;
+            if (snapshotInterval > 0) {
+                timer = setInterval(snapshot, snapshotInterval);
+                timer.unref();
+            }
+        },
+        /**
+         * Feeds one written chunk into the sketch.
+         * @param {*} chunk
+         */
+        consume(chunk) {
+            if (objectMode) {
+                record(chunk);
+            } else {
+                recordLines(pending + (typeof chunk === 'string' ? chunk : decoder.write(chunk)));
+            }
+        },
+        /**
+         * Feeds any held-back partial line into the sketch.
+         */
+        end() {
+            if (!objectMode) {
+                recordLines(pending + decoder.end() + '\n');
+            }
+        },
+        /**
+         * Stops the snapshot timer.
+         */
+        stop() {
+            if (timer !== null) {
+                clearInterval(timer);
+                timer = null;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a Writable stream that feeds every record into `sketch.update`.
+ * In line mode (the default), the stream accepts text or bytes and counts
+ * each non-empty line; in object mode, each written value is one record.
+ * @param {object} sketch - A CountMinSketch, or any sketch with `update(key, count)` and `toJSON()`.
+ * @param {object} [options]
+ * @param {Function} [options.keyFn] - Maps a record to its key; records mapped to `null` or `undefined` are skipped. Defaults to the record itself.
+ * @param {Function} [options.countFn] - Maps a record to its count. Defaults to 1.
+ * @param {boolean} [options.objectMode=false] - Treat each written value as a record instead of splitting text into lines.
+ * @param {number} [options.snapshotEvery=0] - Emit a 'snapshot' event with `sketch.toJSON()` after this many records.
+ * @param {number} [options.snapshotInterval=0] - Emit a 'snapshot' event with `sketch.toJSON()` every this many milliseconds.
+ * @returns {Writable}
+ * @throws {Error} If the sketch or options are invalid.
+ */
+export function createSketchStream(sketch, options = {}) {
+    const ingestor = createIngestor(sketch, options);
+    const stream = new Writable({
+        objectMode: !!options.objectMode,
+        decodeStrings: false,
+        write(chunk, encoding, callback) {
+            try {
+                ingestor.consume(chunk);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            callback();
+        },
+        final(callback) {
+            ingestor.stop();
+            try {
+                ingestor.end();
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            callback();
+        },
+        destroy(err, callback) {
+            ingestor.stop();
+            callback(err);
+        }
+    });
+    ingestor.attach(stream);
+    return stream;
+}
+
+/**
+ * Creates a pass-through Transform stream that feeds every record into
+ * `sketch.update` and forwards each chunk unchanged, so a sketch can be
+ * built as a side effect of an existing pipeline. Takes the same options as
+ * `createSketchStream`.
+ * @param {object} sketch - A CountMinSketch, or any sketch with `update(key, count)` and `toJSON()`.
+ * @param {object} [options] - See `createSketchStream`.
+ * @returns {Transform}
+ * @throws {Error} If the sketch or options are invalid.
+ */
+export function createSketchTransform(sketch, options = {}) {
+    const ingestor = createIngestor(sketch, options);
+    const stream = new Transform({
+        objectMode: !!options.objectMode,
+        decodeStrings: false,
+        transform(chunk, encoding, callback) {
+            try {
+                ingestor.consume(chunk);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            ingestor.stop();
+            try {
+                ingestor.end();
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            callback();
+        },
+        destroy(err, callback) {
+            ingestor.stop();
+            callback(err);
+        }
+    });
+    ingestor.attach(stream);
+    return stream;
+}
@@ -0,0 +1,234 @@
+import { CountMinSketch } from '../index.js';
+
+/**
+ * Swaps two heap entries and keeps the key -> position index in sync.
+ * @param {{key: string, count: number}[]} heap
+ * @param {Map<string, number>} positions
+ * @param {number} i
+ * @param {number} j
+ */
+function swap(heap, positions, i, j) {
+    const tmp = heap[i];
+    heap[i] = heap[j];
+    heap[j] = tmp;
+    positions.set(heap[i].key, i);
+    positions.set(heap[j].key, j);
+}
+
+/**
+ * Moves the entry at `i` towards the root of the min-heap until its parent is smaller.
+ * @param {{key: string, count: number}[]} heap
+ * @param {Map<string, number>} positions
+ * @param {number} i
+ */
+function siftUp(heap, positions, i) {
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].count <= heap[i].count) break;
+        swap(heap, positions, i, parent);
+        i = parent;
+    }
+}
+
+/**
+ * Moves the entry at `i` towards the leaves of the min-heap until both children are larger.
+ * @param {{key: string, count: number}[]} heap
+ * @param {Map<string, number>} positions
+ * @param {number} i
+ */
+function siftDown(heap, positions, i) {
+    const len = heap.length;
+    for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < len && heap[left].count < heap[smallest].count) smallest = left;
+        if (right < len && heap[right].count < heap[smallest].count) smallest = right;
+        if (smallest === i) break;
+        swap(heap, positions, i, smallest);
+        i = smallest;
+    }
+}
+
+/**
+ * Count-Min Sketch that also tracks the most frequent keys seen so far.
+ * Candidate keys are kept in a bounded min-heap ordered by their estimated count,
+ * so the smallest candidate is evicted when a heavier key shows up.
+ * Candidates are identified by value, so keys should be strings or numbers.
+ */
+export class TopKSketch {
+  k;
+  sketch; // Underlying CountMinSketch
+  heap; // Min-heap of {key, count} candidates
+  positions; // Map from candidate key to its index in the heap
+
+  /**
+   * Creates a Top-K sketch.
+   * @param {number} k - The maximum number of candidate keys to track.
+   * @param {number} width - The width of the underlying sketch.
+   * @param {number} depth - The depth of the underlying sketch.
+   * @param {object} [options] - Passed through to the CountMinSketch constructor.
+   */
+  constructor(k, width, depth, options) {
+      if (!(k > 0)) {
+          throw new Error('k must be a positive integer');
+      }
+      this.k = k | 0;
+      this.sketch = new CountMinSketch(width, depth, options);
+      this.heap = [];
+      this.positions = new Map();
+  }
+
+  /**
+   * Creates a Top-K sketch whose underlying sketch is sized from epsilon and delta.
+   * @param {number} k - The maximum number of candidate keys to track.
+   * @param {number} epsilon - Maximum error rate.
+   * @param {number} delta - Probability of exceeding the error rate.
+   * @param {object} [options] - Passed through to the CountMinSketch constructor.
+   * @returns {TopKSketch}
+   */
+  static createEstimate(k, epsilon, delta, options) {
+      const sketch = CountMinSketch.createEstimate(epsilon, delta, options);
+      const topK = new TopKSketch(k, sketch.width, sketch.depth, options);
+      topK.sketch = sketch;
+      return topK;
+  }
+
+  /**
+   * The running total N of all counts added.
+   * @returns {number}
+   */
+  get totalCount() {
+      return this.sketch.totalCount;
+  }
+
+  /**
+   * Updates the count for a key and refreshes its place among the candidates.
+   * @param {string} key - The key to update.
+   * @param {number} [count=1] - The amount to increment the count by.
+   */
+  update(key, count = 1) {
+      if (count <= 0) return;
+      this.sketch.update(key, count);
+      this.offer(key, this.sketch.query(key));
+  }
+
+  /**
+   * Queries the estimated frequency count for a key.
+   * @param {string} key - The key to query.
+   * @returns {number}
+   */
+  query(key) {
+      return this.sketch.query(key);
+  }
+
+  /**
+   * Offers a key with its current estimate to the candidate heap.
+   * @param {string} key
+   * @param {number} estimate
+   */
+  offer(key, estimate) {
+      const heap = this.heap;
+      const position = this.positions.get(key);
+      if (position !== undefined) {
+          heap[position].count = estimate; // Estimates only grow, so only sift down
+          siftDown(heap, this.positions, position);
+      } else if (heap.length < this.k) {
+          heap.push({ key, count: estimate });
+          this.positions.set(key, heap.length - 1);
+          siftUp(heap, this.positions, heap.length - 1);
+      } else if (estimate > heap[0].count) {
+          this.positions.delete(heap[0].key);
+          heap[0] = { key, count: estimate };
+          this.positions.set(key, 0);
+          siftDown(heap, this.positions, 0);
+      }
+  }
+
+  /**
+   * Returns the tracked candidates ordered by estimated count, highest first.
+   * @param {number} [n=this.k] - Maximum number of entries to return.
+   * @returns {{key: string, count: number}[]}
+   */
+  topK(n = this.k) {
+      return this.heap
+          .map(({ key }) => ({ key, count: this.sketch.query(key) }))
+          .sort((a, b) => (a.count < b.count) - (a.count > b.count) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+          .slice(0, n);
+  }
+
+  /**
+   * Returns the candidates whose estimated count exceeds `phi * N`.
+   * @param {number} phi - Fraction of the total count (0 < phi < 1).
+   * @returns {{key: string, count: number}[]}
+   * @throws {Error} If phi is out of range.
+   */
+  heavyHitters(phi) {
+      if (!(phi > 0 && phi < 1)) {
+          throw new Error('phi must be between 0 and 1 (exclusive)');
+      }
+      const threshold = phi * this.sketch.totalCount;
+      return this.topK().filter(entry => entry.count > threshold);
+  }
+
+  /**
+   * Merges another Top-K sketch into this one. The underlying sketches are merged
+   * and the candidates of both are re-ranked against the merged counts.
+   * @param {TopKSketch} other - The sketch to merge.
+   * @throws {Error} If the underlying sketches cannot be merged.
+   */
+  merge(other) {
+      this.sketch.merge(other.sketch);
+      const keys = new Set(this.heap.map(entry => entry.key));
+      for (const entry of other.heap) keys.add(entry.key);
+      this.heap = [];
+      this.positions = new Map();
+      for (const key of keys) {
+          this.offer(key, this.sketch.query(key));
+      }
+  }
+
+  /**
+   * Resets the sketch and drops all candidates.
+   */
+  clear() {
+      this.sketch.clear();
+      this.heap = [];
+      this.positions = new Map();
+  }
+
+  /**
+   * Serializes the sketch and its candidates to a JSON-compatible object.
+   * @returns {{k: number, sketch: object, candidates: {key: string, count: number}[]}}
+   */
+  toJSON() {
+      return {
+          k: this.k,
+          sketch: this.sketch.toJSON(),
+          candidates: this.heap.map(({ key, count }) => ({ key, count }))
+      };
+  }
+
+  /**
+   * Creates a TopKSketch instance from a JSON object.
+   * @param {{k: number, sketch: object, candidates: {key: string, count: number}[]}} data - The serialized data.
+   * @param {object} [options] - Passed through to `CountMinSketch.fromJSON`.
+   * @returns {TopKSketch}
+   * @throws {Error} If data is invalid.
+   */
+  static fromJSON(data, options) {
+      if (!data || typeof data !== 'object' || !data.k || !data.sketch || !Array.isArray(data.candidates)) {
+          throw new Error('Invalid data format for TopKSketch reconstruction');
+      }
+      if (data.candidates.length > data.k) {
+          throw new Error(`Too many candidates: expected at most ${data.k}, got ${data.candidates.length}`);
+      }
+      const sketch = CountMinSketch.fromJSON(data.sketch, options);
+      const topK = new TopKSketch(data.k, sketch.width, sketch.depth);
+      topK.sketch = sketch;
+      for (const candidate of data.candidates) {
+          topK.offer(candidate.key, sketch.query(candidate.key));
+      }
+      return topK;
+  }
+}
@@ -0,0 +1,140 @@
+import { fmix32 } from './hash.js';
+
+/**
+ * Finds the next power of 2 greater than or equal to n.
+ * @param {number} n
+ * @returns {number}
+ */
+export function nextPowerOf2(n) {
+  if (n <= 0) return 1;
+  n--;
+  n |= n >> 1;
+  n |= n >> 2;
+  n |= n >> 4;
+  n |= n >> 8;
+  n |= n >> 16;
+  n++;
+  return n;
+}
+
+/** Largest width that can be requested; widths are rounded with 32-bit bitwise operations. */
+export const MAX_WIDTH = 2 ** 30;
+
+/** Largest number of counters (width * depth) in one sketch table. */
+export const MAX_TABLE_LENGTH = 0x7fffffff;
+
+/**
+ * Validates sketch dimensions and rounds the width up to a power of 2.
+ * @param {number} width - The requested width.
+ * @param {number} depth - The requested depth.
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Throw instead of rounding a width that is not a power of 2.
+ * @param {Function} [options.onAdjust] - Called with `{ requestedWidth, width }` when the width is rounded.
+ * @param {Function} [options.logger] - Called with a message when the width is rounded.
+ * @returns {number} The power of 2 width to use.
+ * @throws {Error} If the dimensions are not positive integers, are too large, or need rounding in strict mode.
+ */
+export function resolveWidth(width, depth, options = {}) {
+  if (!Number.isInteger(width) || !Number.isInteger(depth) || width <= 0 || depth <= 0) {
+    throw new Error(`Width and depth must be positive integers, got width=${width}, depth=${depth}`);
+  }
+  if (width > MAX_WIDTH) {
+    throw new Error(`Width must be at most ${MAX_WIDTH}, got ${width}`);
+  }
+  const adjusted = nextPowerOf2(width);
+  if (adjusted * depth > MAX_TABLE_LENGTH) {
+    throw new Error(`Sketch table of ${adjusted}x${depth} counters exceeds the maximum of ${MAX_TABLE_LENGTH}`);
+  }
+  if (adjusted !== width) {
+    if (options.strict) {
+      throw new Error(`Width must be a power of 2 in strict mode, got ${width}`);
+    }
+    notifyAdjust(width, adjusted, options, `Adjusted sketch width from ${width} to next power of 2: ${adjusted}`);
+  }
+  return adjusted;
+}
+
+/**
+ * Reports a width rounding to the `onAdjust` and `logger` options, if given.
+ * @param {number} requestedWidth
+ * @param {number} width
+ * @param {object} options
+ * @param {string} message
+ */
+export function notifyAdjust(requestedWidth, width, options, message) {
+  if (typeof options.onAdjust === 'function') {
+    options.onAdjust({ requestedWidth, width });
+  }
+  if (typeof options.logger === 'function') {
+    options.logger(message);
+  }
+}
+
+/**
+ * Derives the seed of one row from a single 32-bit seed, using the MurmurHash3
+ * finalizer. Rows get distinct seeds because the finalizer is a bijection.
+ * @param {number} seed
+ * @param {number} row
+ * @returns {number}
+ */
+function deriveSeed(seed, row) {
+  return fmix32((seed + Math.imul(row + 1, 0x9e3779b9)) >>> 0);
+}
+
+/**
+ * Checks that seeds is an array of `depth` unsigned 32-bit integers.
+ * @param {number} depth
+ * @param {*} seeds
+ * @returns {boolean}
+ */
+export function isValidSeeds(depth, seeds) {
+  return Array.isArray(seeds) && seeds.length === depth &&
+    seeds.every(seed => Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff);
+}
+
+/**
+ * Resolves the per-row hash seeds from the `seed` and `seeds` options.
+ * With neither, rows use the seeds `0..depth-1`.
+ * @param {number} depth
+ * @param {object} [options]
+ * @param {number|string} [options.seed] - An unsigned 32-bit integer every row seed is derived from,
+ *   or 'random' for seeds from a cryptographically secure random source.
+ * @param {number[]} [options.seeds] - One unsigned 32-bit integer per row.
+ * @returns {number[]}
+ * @throws {Error} If both options are given or either is invalid, or if 'random' is requested
+ *   where `globalThis.crypto.getRandomValues` is not available.
+ */
+export function resolveSeeds(depth, options = {}) {
+  const { seed, seeds } = options;
+  if (seed !== undefined && seeds !== undefined) {
+    throw new Error('Pass either seed or seeds, not both');
+  }
+  if (seeds !== undefined) {
+    if (!isValidSeeds(depth, seeds)) {
+      throw new Error(`Seeds must be an array of ${depth} unsigned 32-bit integers`);
+    }
+    return seeds.slice();
+  }
+  if (seed === 'random') {
+    if (!globalThis.crypto || typeof globalThis.crypto.getRandomValues !== 'function') {
+      throw new Error("seed: 'random' needs globalThis.crypto.getRandomValues (Node.js 18 or later); pass a seed or seeds instead");
+    }
+    return Array.from(globalThis.crypto.getRandomValues(new Uint32Array(depth)));
+  }
+  if (seed !== undefined) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+      throw new Error(`Seed must be an unsigned 32-bit integer or 'random', got ${seed}`);
+    }
+    return Array.from({ length: depth }, (_, i) => deriveSeed(seed, i));
+  }
+  return Array.from({ length: depth }, (_, i) => i);
+}
+
+/**
+ * Checks whether seeds are the default `0..depth-1`.
+ * @param {number[]} seeds
+ * @returns {boolean}
+ */
+export function isSequentialSeeds(seeds) {
+  return seeds.every((seed, i) => seed === i);
+}
@@ -0,0 +1,202 @@
+import { CountMinSketch } from '../index.js';
+
+/**
+ * Sliding-window Count-Min Sketch built from a ring of tumbling buckets.
+ * Each bucket is a CountMinSketch covering `bucketDuration` milliseconds; when
+ * time moves past the newest bucket, the oldest buckets are cleared and reused.
+ * Windows are therefore bucket-granular: a query covers whole buckets.
+ */
+export class WindowedSketch {
+  buckets; // Ring of CountMinSketch buckets
+  bucketDuration; // Milliseconds covered by each bucket
+  clock; // Returns the current time in milliseconds
+  currentBucket; // Number of the newest bucket, floor(time / bucketDuration)
+
+  /**
+   * Creates a windowed sketch.
+   * @param {number} width - The width of each bucket sketch.
+   * @param {number} depth - The depth of each bucket sketch.
+   * @param {object} options - Window options; the rest is passed through to each CountMinSketch.
+   * @param {number} options.bucketDuration - Milliseconds covered by each bucket.
+   * @param {number} options.bucketCount - Positive integer number of buckets; the full window is `bucketCount * bucketDuration`.
+   * @param {() => number} [options.clock=Date.now] - Source of the current time in milliseconds.
+   * @throws {Error} If the window options are invalid.
+   */
+  constructor(width, depth, options = {}) {
+      const { bucketDuration, bucketCount, clock = Date.now } = options;
+      if (!(bucketDuration > 0) || !(bucketCount > 0)) {
+          throw new Error('bucketDuration and bucketCount must be positive');
+      }
+      if (!Number.isInteger(bucketCount)) {
+          throw new Error(`bucketCount must be an integer, got ${bucketCount}`);
+      }
+      if (typeof clock !== 'function') {
+          throw new Error('clock must be a function returning milliseconds');
+      }
+      this.bucketDuration = bucketDuration;
+      this.clock = clock;
+      this.buckets = new Array(bucketCount);
+      for (let i = 0; i < this.buckets.length; i++) {
+          this.buckets[i] = new CountMinSketch(width, depth, options);
+      }
+      this.currentBucket = Math.floor(clock() / bucketDuration);
+  }
+
+  /**
+   * The length of the full window in milliseconds.
+   * @returns {number}
+   */
+  get windowDuration() {
+      return this.buckets.length * this.bucketDuration;
+  }
+
+  /**
+   * The total of all counts still inside the window.
+   * @returns {number}
+   */
+  get totalCount() {
+      let total = 0;
+      for (const bucket of this.buckets) total += bucket.totalCount;
+      return total;
+  }
+
+  /**
+   * Returns the bucket sketch for a bucket number.
+   * @param {number} bucketNumber
+   * @returns {CountMinSketch}
+   */
+  bucketAt(bucketNumber) {
+      const n = this.buckets.length;
+      return this.buckets[((bucketNumber % n) + n) % n];
+  }
+
+  /**
+   * Moves the window forward to `now`, clearing buckets that fell out of it.
+   * Moving backwards is a no-op.
+   * @param {number} [now=this.clock()] - The current time in milliseconds.
+   */
+  advance(now = this.clock()) {
+      const target = Math.floor(now / this.bucketDuration);
+      const steps = Math.min(target - this.currentBucket, this.buckets.length);
+      for (let i = 1; i <= steps; i++) {
+          this.bucketAt(this.currentBucket + i).clear();
+      }
+      if (target > this.currentBucket) {
+          this.currentBucket = target;
+      }
+  }
+
+  /**
+   * Adds a count for a key at a point in time. Timestamps newer than the
+   * window advance it; timestamps older than the window are dropped.
+   * @param {string|number|Uint8Array} key - The key to update.
+   * @param {number} [count=1] - The amount to increment the count by.
+   * @param {number} [timestamp=this.clock()] - When the event happened, in milliseconds.
+   * @returns {boolean} Whether the update landed inside the window.
+   */
+  update(key, count = 1, timestamp = this.clock()) {
+      const bucketNumber = Math.floor(timestamp / this.bucketDuration);
+      if (bucketNumber > this.currentBucket) {
+          this.advance(timestamp);
+      } else if (bucketNumber <= this.currentBucket - this.buckets.length) {
+          return false;
+      }
+      this.bucketAt(bucketNumber).update(key, count);
+      return true;
+  }
+
+  /**
+   * Estimates the count for a key over the most recent part of the window.
+   * Call `advance()` first if time may have moved on without updates.
+   * @param {string|number|Uint8Array} key - The key to query.
+   * @param {object} [options]
+   * @param {number} [options.window=this.windowDuration] - Milliseconds to look back, rounded up to whole buckets.
+   * @returns {number|bigint} The estimated count.
+   * @throws {Error} If the window is not positive.
+   */
+  query(key, options = {}) {
+      const { window = this.windowDuration } = options;
+      if (!(window > 0)) {
+          throw new Error('window must be a positive number of milliseconds');
+      }
+      const bucketCount = Math.min(Math.ceil(window / this.bucketDuration), this.buckets.length);
+      let total = this.bucketAt(this.currentBucket).query(key);
+      for (let i = 1; i < bucketCount; i++) {
+          total += this.bucketAt(this.currentBucket - i).query(key);
+      }
+      return total;
+  }
+
+  /**
+   * Merges another windowed sketch into this one. This sketch is first advanced
+   * to the later of the two current buckets; then every bucket of `other` that
+   * is still inside that window is merged into the matching bucket. `other` is
+   * not modified.
+   * @param {WindowedSketch} other - The sketch to merge.
+   * @throws {Error} If the window layouts differ or the bucket sketches cannot be merged.
+   */
+  merge(other) {
+      if (this.bucketDuration !== other.bucketDuration || this.buckets.length !== other.buckets.length) {
+          throw new Error('Cannot merge windowed sketches with different bucket layouts');
+      }
+      const latest = Math.max(this.currentBucket, other.currentBucket);
+      this.advance(latest * this.bucketDuration);
+      const n = this.buckets.length;
+      const oldest = latest - n; // Newest bucket that fell out of the window
+      for (let bucketNumber = Math.max(oldest + 1, other.currentBucket - n + 1); bucketNumber <= other.currentBucket; bucketNumber++) {
+          this.bucketAt(bucketNumber).merge(other.bucketAt(bucketNumber));
+      }
+  }
+
+  /**
+   * Resets every bucket.
+   */
+  clear() {
+      for (const bucket of this.buckets) bucket.clear();
+  }
+
+  /**
+   * Serializes the window and its buckets to a JSON-compatible object.
+   * Buckets are listed oldest first.
+   * @returns {{bucketDuration: number, currentBucket: number, buckets: object[]}}
+   */
+  toJSON() {
+      const buckets = [];
+      for (let i = this.buckets.length - 1; i >= 0; i--) {
+          buckets.push(this.bucketAt(this.currentBucket - i).toJSON());
+      }
+      return {
+          bucketDuration: this.bucketDuration,
+          currentBucket: this.currentBucket,
+          buckets
+      };
+  }
+
+  /**
+   * Creates a WindowedSketch instance from a JSON object.
+   * @param {{bucketDuration: number, currentBucket: number, buckets: object[]}} data - The serialized data.
+   * @param {object} [options] - `clock`, plus options passed through to `CountMinSketch.fromJSON`.
+   * @returns {WindowedSketch}
+   * @throws {Error} If data is invalid.
+   */
+  static fromJSON(data, options = {}) {
+      if (!data || typeof data !== 'object' || !(data.bucketDuration > 0) ||
+          !Number.isInteger(data.currentBucket) || !Array.isArray(data.buckets) || data.buckets.length === 0) {
+          throw new Error('Invalid data format for WindowedSketch reconstruction');
+      }
+      const buckets = data.buckets.map(bucket => CountMinSketch.fromJSON(bucket, options));
+      const windowed = new WindowedSketch(buckets[0].width, buckets[0].depth, {
+          bucketDuration: data.bucketDuration,
+          bucketCount: buckets.length,
+          clock: options.clock
+      });
+      windowed.currentBucket = data.currentBucket;
+      for (let i = 0; i < buckets.length; i++) {
+          // buckets[0] is the oldest, buckets[length - 1] the current one
+          const bucketNumber = data.currentBucket - (buckets.length - 1 - i);
+          const n = buckets.length;
+          windowed.buckets[((bucketNumber % n) + n) % n] = buckets[i];
+      }
+      return windowed;
+  }
+}
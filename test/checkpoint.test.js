@@ -0,0 +1,173 @@
+import tape from 'tape';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+import { CountMinSketch } from '../index.js';
+import { MemoryStorage, FileStorage, saveCheckpoint, restoreCheckpoint, createCheckpointer } from '../src/checkpoint.js';
+import * as checkpointEntryPoint from 'faster-count-min-sketch/checkpoint';
+
+const test = tape;
+
+// Asserts that a promise rejects with an error matching `pattern`
+async function rejects(t, promise, pattern, message) {
+    try {
+        await promise;
+        t.fail(message);
+    } catch (err) {
+        t.match(err.message, pattern, message);
+    }
+}
+
+function buildSketch() {
+    const sketch = new CountMinSketch(256, 4, { hash: 'murmur3', counterType: 'uint16', seed: 9 });
+    for (let i = 0; i < 500; i++) {
+        sketch.update(`key_${i % 40}`, (i % 3) + 1);
+    }
+    return sketch;
+}
+
+test('Checkpoint - Package Entry Point', (t) => {
+    t.equal(checkpointEntryPoint.saveCheckpoint, saveCheckpoint, 'The checkpoint subpath should export saveCheckpoint');
+    t.equal(checkpointEntryPoint.FileStorage, FileStorage, 'The checkpoint subpath should export FileStorage');
+    t.end();
+});
+
+test('Checkpoint - Save and Restore', async (t) => {
+    const storage = new MemoryStorage();
+    t.equal(await restoreCheckpoint(storage), null, 'Restoring before the first checkpoint should return null');
+
+    const sketch = buildSketch();
+    for (const format of ['binary', 'json']) {
+        await saveCheckpoint(sketch, storage, { name: format, format });
+        const restored = await restoreCheckpoint(storage, { name: format });
+        t.ok(restored instanceof CountMinSketch, `restoreCheckpoint should return a CountMinSketch (${format})`);
+        t.deepEqual(Array.from(restored.table), Array.from(sketch.table), `Restored counters should match (${format})`);
+        t.equal(restored.totalCount, sketch.totalCount, `Restored total count should match (${format})`);
+        t.equal(restored.counterType, 'uint16', `Restored counter type should match (${format})`);
+        t.deepEqual(restored.seeds, sketch.seeds, `Restored seeds should match (${format})`);
+    }
+    t.equal(storage.entries.get('json')[5], 0, 'JSON checkpoints should record their payload format');
+
+    const baseline = buildSketch();
+    baseline.update('gone', 50);
+    const diff = CountMinSketch.diff(sketch, baseline);
+    for (const format of ['binary', 'json']) {
+        await saveCheckpoint(diff, storage, { name: `diff-${format}`, format });
+        const restored = await restoreCheckpoint(storage, { name: `diff-${format}` });
+        t.deepEqual(Array.from(restored.table), Array.from(diff.table), `diff sketches should restore their negative counters (${format})`);
+        t.equal(restored.totalCount, -50, `diff sketches should restore their negative total count (${format})`);
+    }
+
+    const customHash = (key, seed) => (key.length * 31 + seed) >>> 0;
+    const custom = new CountMinSketch(64, 3, { hash: customHash });
+    custom.update('abc', 4);
+    await saveCheckpoint(custom, storage, { name: 'custom' });
+    t.equal((await restoreCheckpoint(storage, { name: 'custom', hash: customHash })).query('abc'), 4, 'Options should be passed through to fromBuffer');
+
+    await rejects(t, saveCheckpoint({}, storage), /saveCheckpoint requires a CountMinSketch/, 'Throws for non-sketches');
+    await rejects(t, saveCheckpoint(sketch, {}), /Storage adapters must implement write\(name, bytes\) and read\(name\)/, 'Throws for invalid storage');
+    await rejects(t, saveCheckpoint(sketch, storage, { format: 'xml' }), /Unknown checkpoint format: xml/, 'Throws for unknown formats');
+    await rejects(t, saveCheckpoint(sketch, storage, { name: '../escape' }), /Checkpoint names must be non-empty file names, got '..\/escape'/, 'Throws for names with path separators');
+    t.end();
+});
+
+test('Checkpoint - Corruption Detection', async (t) => {
+    const storage = new MemoryStorage();
+    await saveCheckpoint(buildSketch(), storage);
+    const bytes = storage.entries.get('sketch');
+
+    storage.entries.set('sketch', bytes.subarray(0, bytes.length - 3));
+    await rejects(t, restoreCheckpoint(storage), /Checkpoint 'sketch' is truncated: expected \d+ payload bytes, got \d+/, 'Throws for partial checkpoints');
+
+    const flipped = bytes.slice();
+    flipped[flipped.length - 1] ^= 0xff;
+    storage.entries.set('sketch', flipped);
+    await rejects(t, restoreCheckpoint(storage), /Checkpoint 'sketch' is corrupt: checksum mismatch/, 'Throws for corrupt payloads');
+
+    storage.entries.set('sketch', bytes.subarray(0, 10));
+    await rejects(t, restoreCheckpoint(storage), /Checkpoint 'sketch' is not a sketch checkpoint or is truncated/, 'Throws for truncated headers');
+
+    storage.entries.set('sketch', new TextEncoder().encode(JSON.stringify(buildSketch())));
+    await rejects(t, restoreCheckpoint(storage), /is not a sketch checkpoint/, 'Throws for plain toJSON dumps');
+
+    const future = bytes.slice();
+    future[4] = 2;
+    storage.entries.set('sketch', future);
+    await rejects(t, restoreCheckpoint(storage), /Checkpoint 'sketch' has unsupported version 2/, 'Throws for unsupported versions');
+    t.end();
+});
+
+test('Checkpoint - FileStorage', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'cms-checkpoint-'));
+    try {
+        const storage = new FileStorage(join(dir, 'nested'));
+        t.equal(await restoreCheckpoint(storage), null, 'Missing files should restore as null');
+
+        const sketch = buildSketch();
+        await saveCheckpoint(sketch, storage, { name: 'hourly.cms' });
+        sketch.update('late', 7);
+        await saveCheckpoint(sketch, storage, { name: 'hourly.cms' });
+        t.deepEqual(await readdir(join(dir, 'nested')), ['hourly.cms'], 'Temporary files should be renamed away');
+        t.equal((await restoreCheckpoint(storage, { name: 'hourly.cms' })).query('late'), 7, 'The latest checkpoint should be restored');
+
+        const path = join(dir, 'nested', 'hourly.cms');
+        const bytes = await readFile(path);
+        await writeFile(path, bytes.subarray(0, bytes.length >> 1));
+        await rejects(t, restoreCheckpoint(storage, { name: 'hourly.cms' }), /is truncated/, 'Throws for partially written files');
+
+        t.throws(() => new FileStorage(''), /FileStorage requires a directory path/, 'Throws without a directory');
+        await rejects(t, storage.read('a/b'), /Checkpoint names must be non-empty file names/, 'read throws for names with path separators');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+    t.end();
+});
+
+test('Checkpoint - Periodic Checkpointer', async (t) => {
+    const storage = new MemoryStorage();
+    const sketch = buildSketch();
+    const checkpointer = createCheckpointer(sketch, storage, { interval: 10, name: 'live' });
+    await delay(50);
+    t.ok(storage.entries.has('live'), 'Interval saves should write checkpoints');
+    sketch.update('final', 3);
+    await checkpointer.stop();
+    t.equal((await restoreCheckpoint(storage, { name: 'live' })).query('final'), 3, 'stop() should write a final checkpoint');
+    const restored = await checkpointer.restore();
+    t.ok(restored instanceof CountMinSketch, 'restore() should return a CountMinSketch');
+    t.equal(restored.query('final'), 3, 'restore() should read the checkpoint written under the same name');
+    t.equal(await createCheckpointer(sketch, new MemoryStorage()).restore(), null, 'restore() should return null before the first checkpoint');
+
+    const writes = [];
+    const slowStorage = {
+        async write(name, bytes) {
+            writes.push('start');
+            await delay(5);
+            writes.push('end');
+        },
+        async read() { return null; }
+    };
+    const manual = createCheckpointer(sketch, slowStorage);
+    await Promise.all([manual.save(), manual.save()]);
+    t.deepEqual(writes, ['start', 'end', 'start', 'end'], 'Saves should not overlap');
+
+    const errors = [];
+    let failures = 1;
+    const flakyStorage = {
+        async write(name, bytes) {
+            if (failures-- > 0) throw new Error('disk full');
+            await storage.write(name, bytes);
+        },
+        async read(name) { return storage.read(name); }
+    };
+    const flaky = createCheckpointer(sketch, flakyStorage, { interval: 10, name: 'flaky', onError: err => errors.push(err.message) });
+    await delay(50);
+    await flaky.stop();
+    t.deepEqual(errors.slice(0, 1), ['disk full'], 'Interval save errors should be reported to onError');
+    t.ok(storage.entries.has('flaky'), 'A failed save should not block later saves');
+
+    t.throws(() => createCheckpointer(sketch, storage, { interval: -1 }), /interval must be non-negative/, 'Throws for negative intervals');
+    t.throws(() => createCheckpointer(sketch, storage, { format: 'xml' }), /Unknown checkpoint format: xml/, 'Throws for unknown formats up front');
+    t.throws(() => createCheckpointer(sketch, { write() {} }), /Storage adapters must implement/, 'Throws for storage without read');
+    t.end();
+});
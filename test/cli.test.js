@@ -0,0 +1,106 @@
+import tape from 'tape';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable, PassThrough } from 'node:stream';
+import { CountMinSketch, TopKSketch } from '../index.js';
+import { run } from '../src/cli.js';
+
+const test = tape;
+
+// Runs the CLI with in-memory stdio and returns its exit code and output
+async function cms(argv, input = '') {
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    const out = [];
+    const err = [];
+    stdout.on('data', chunk => out.push(chunk));
+    stderr.on('data', chunk => err.push(chunk));
+    const code = await run(argv, { stdin: Readable.from([input]), stdout, stderr });
+    return { code, stdout: Buffer.concat(out).toString(), stderr: Buffer.concat(err).toString() };
+}
+
+test('cms CLI - build, query and info', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'cms-cli-'));
+    try {
+        const log = join(dir, 'access.log');
+        await writeFile(log, 'GET /a\nGET /b\nGET /a\nGET /a');
+        const sketchPath = join(dir, 'sketch.json');
+
+        const built = await cms(['build', '-e', '0.01', '-d', '0.01', '-o', sketchPath, log]);
+        t.equal(built.code, 0, 'build should succeed');
+        const sketch = CountMinSketch.fromJSON(JSON.parse(await readFile(sketchPath, 'utf8')));
+        t.equal(sketch.width, 512, 'build should size the sketch with createEstimate');
+        t.equal(sketch.totalCount, 4, 'build should count every line, including one without a trailing newline');
+
+        const queried = await cms(['query', sketchPath, 'GET /a', 'GET /z']);
+        t.equal(queried.stdout, 'GET /a\t3\nGET /z\t0\n', 'query should print tab-separated estimates');
+
+        const fromStdin = await cms(['build', '--conservative', '--hash', 'murmur3'], 'x\ny\nx\n');
+        const stdinSketch = CountMinSketch.fromJSON(JSON.parse(fromStdin.stdout));
+        t.equal(stdinSketch.query('x'), 2, 'build should read stdin when no files are given');
+        t.ok(stdinSketch.conservative, 'build should pass --conservative through');
+        t.equal(stdinSketch.hash, 'murmur3', 'build should pass --hash through');
+
+        const described = await cms(['info', sketchPath]);
+        t.ok(described.stdout.includes('type\tCountMinSketch\n'), 'info should print the sketch type');
+        t.ok(described.stdout.includes('width\t512\n'), 'info should print the width');
+        t.ok(described.stdout.includes('totalCount\t4\n'), 'info should print the total count');
+        t.ok(described.stdout.includes(`epsilon\t${Math.E / 512}\n`), 'info should print the error rate');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+    t.end();
+});
+
+test('cms CLI - top and merge', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'cms-cli-'));
+    try {
+        const a = join(dir, 'a.json');
+        const b = join(dir, 'b.json');
+        const merged = join(dir, 'merged.json');
+        t.equal((await cms(['build', '-k', '2', '-o', a], 'x\nx\ny\nz\n')).code, 0, 'build --top should succeed');
+        t.equal((await cms(['build', '-k', '2', '-o', b], 'y\ny\ny\n')).code, 0, 'build --top should succeed');
+
+        const listed = await cms(['top', a]);
+        t.equal(listed.stdout.split('\n')[0], 'x\t2', 'top should list the heaviest key first');
+
+        t.equal((await cms(['merge', a, b, '-o', merged])).code, 0, 'merge should succeed');
+        const combined = TopKSketch.fromJSON(JSON.parse(await readFile(merged, 'utf8')));
+        t.equal(combined.totalCount, 7, 'merge should combine totals');
+        t.equal((await cms(['top', merged, '-n', '1'])).stdout, 'y\t4\n', 'top -n should limit the listing');
+
+        const plain = join(dir, 'plain.json');
+        await cms(['build', '-o', plain], 'x\n');
+        const noCandidates = await cms(['top', plain]);
+        t.equal(noCandidates.code, 1, 'top should fail without candidates');
+        t.ok(noCandidates.stderr.includes('build it with --top'), 'top should explain how to track candidates');
+        const mixed = await cms(['merge', a, plain]);
+        t.equal(mixed.code, 1, 'merge should fail for mixed sketch kinds');
+        t.ok(mixed.stderr.includes('Cannot merge sketches built with and without --top'), 'merge should explain the failure');
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+    t.end();
+});
+
+test('cms CLI - errors', async (t) => {
+    const none = await cms([]);
+    t.equal(none.code, 1, 'No command should fail');
+    t.ok(none.stderr.startsWith('Usage: cms'), 'No command should print usage');
+    t.equal((await cms(['--help'])).code, 0, '--help should succeed');
+
+    const unknown = await cms(['frobnicate']);
+    t.ok(unknown.stderr.startsWith("cms: unknown command 'frobnicate'"), 'Unknown commands should be reported');
+
+    const badNumber = await cms(['build', '--epsilon', 'abc']);
+    t.equal(badNumber.code, 1, 'Invalid numbers should fail');
+    t.ok(badNumber.stderr.includes("--epsilon must be a number, got 'abc'"), 'Invalid numbers should be reported');
+    t.ok((await cms(['build', '--bogus'])).stderr.includes('Usage: cms'), 'Unknown options should print usage');
+
+    const missing = await cms(['query', 'does-not-exist.json', 'x']);
+    t.equal(missing.code, 1, 'Missing sketch files should fail');
+    t.ok(missing.stderr.includes('Cannot read sketch does-not-exist.json'), 'Missing sketch files should be reported');
+    t.ok((await cms(['query', 'x.json'])).stderr.includes('query needs a sketch file and at least one key'), 'query without keys should fail');
+    t.end();
+});
@@ -99,11 +99,12 @@ test('CountMinSketch - Merge', (t) => {
     t.equal(sketchA.query('orange'), 12, 'Merged "orange" count should be 12 (from sketchB)');
 
     const sketchC = new CountMinSketch(sketchA.width / 2, sketchA.depth); // Different width
-    t.throws(() => {
-        sketchA.merge(sketchC);
-    }, /Cannot merge sketches with different dimensions/, 'Should throw error for merging sketches with different widths');
+    sketchC.update('apple', 3);
+    sketchA.merge(sketchC);
+    t.equal(sketchA.width, sketchC.width, 'Merging a narrower sketch should fold this sketch to its width');
+    t.ok(sketchA.query('apple') >= 20, 'Merged "apple" count should include the narrower sketch');
 
-    const sketchD = new CountMinSketch(sketchA.width, sketchA.depth / 2 + 1); // Different depth
+    const sketchD = new CountMinSketch(sketchA.width, Math.floor(sketchA.depth / 2) + 1); // Different depth
     t.throws(() => {
         sketchA.merge(sketchD);
     }, /Cannot merge sketches with different dimensions/, 'Should throw error for merging sketches with different depths');
@@ -145,9 +146,718 @@ test('CountMinSketch - JSON Serialization', (t) => {
     t.end();
 });
 
+test('CountMinSketch - Conservative Update', (t) => {
+    const standard = new CountMinSketch(64, 4);
+    const conservative = new CountMinSketch(64, 4, { conservative: true });
+    t.equal(conservative.conservative, true, 'Conservative mode should be set from options');
+    t.equal(standard.conservative, false, 'Standard mode should be the default');
+
+    const trueCounts = {};
+    for (let i = 0; i < 500; i++) {
+        const key = `key_${i % 100}`;
+        const count = (i % 7) + 1;
+        trueCounts[key] = (trueCounts[key] || 0) + count;
+        standard.update(key, count);
+        conservative.update(key, count);
+    }
+
+    let neverUnder = true;
+    let neverAboveStandard = true;
+    for (const key in trueCounts) {
+        const estimate = conservative.query(key);
+        if (estimate < trueCounts[key]) neverUnder = false;
+        if (estimate > standard.query(key)) neverAboveStandard = false;
+    }
+    t.ok(neverUnder, 'Conservative estimates should never be below the true count');
+    t.ok(neverAboveStandard, 'Conservative estimates should never exceed standard estimates');
+
+    t.comment('--- Serialization and Merge ---');
+    const json = conservative.toJSON();
+    t.equal(json.conservative, true, 'toJSON() should record the update mode');
+    const reconstructed = CountMinSketch.fromJSON(json);
+    t.equal(reconstructed.conservative, true, 'fromJSON() should restore the update mode');
+    t.equal(CountMinSketch.fromJSON(standard.toJSON()).conservative, false, 'Standard mode should round-trip');
+
+    t.throws(() => {
+        standard.merge(conservative);
+    }, /Cannot merge sketches with different update modes/, 'Should throw error for merging sketches with different update modes');
+
+    const other = new CountMinSketch(64, 4, { conservative: true });
+    other.update('key_1', 10);
+    const before = conservative.query('key_1');
+    conservative.merge(other);
+    t.ok(conservative.query('key_1') >= before + 10, 'Merging conservative sketches should add counts');
+
+    t.end();
+});
+
+test('CountMinSketch - Total Count and Count-Mean-Min', (t) => {
+    const sketch = new CountMinSketch(256, 5);
+    t.equal(sketch.totalCount, 0, 'Total count should start at 0');
+    sketch.update('a', 5);
+    sketch.update('b');
+    sketch.update('c', 0);
+    t.equal(sketch.totalCount, 6, 'Total count should track the sum of positive counts');
+
+    t.comment('--- Heavy stream with many light keys ---');
+    const heavy = new CountMinSketch(64, 5);
+    for (let i = 0; i < 2000; i++) {
+        heavy.update(`light_${i}`, 3);
+    }
+    heavy.update('target', 40);
+    const minEstimate = heavy.query('target');
+    const meanMinEstimate = heavy.queryMeanMin('target');
+    t.ok(meanMinEstimate <= minEstimate, `Mean-min estimate (${meanMinEstimate}) should be clamped to the min estimate (${minEstimate})`);
+    t.ok(Math.abs(meanMinEstimate - 40) < Math.abs(minEstimate - 40), 'Mean-min estimate should be closer to the true count on a noisy stream');
+    t.ok(heavy.queryMeanMin('never_seen') >= 0, 'Mean-min estimate should never be negative');
+
+    t.comment('--- Merge, Clear and Serialization ---');
+    const other = new CountMinSketch(256, 5);
+    other.update('a', 10);
+    sketch.merge(other);
+    t.equal(sketch.totalCount, 16, 'Merge should add total counts');
+
+    const json = sketch.toJSON();
+    t.equal(json.totalCount, 16, 'toJSON() should record the total count');
+    t.equal(CountMinSketch.fromJSON(json).totalCount, 16, 'fromJSON() should restore the total count');
+    delete json.totalCount;
+    t.equal(CountMinSketch.fromJSON(json).totalCount, 16, 'fromJSON() should recover the total count from the table when missing');
+
+    sketch.clear();
+    t.equal(sketch.totalCount, 0, 'Clear should reset the total count');
+
+    t.end();
+});
+
+test('CountMinSketch - Error Bounds', (t) => {
+    const sketch = new CountMinSketch(1024, 5);
+    t.equal(sketch.epsilon, Math.E / 1024, 'epsilon should be e / width');
+    t.equal(sketch.delta, Math.exp(-5), 'delta should be e^-depth');
+    const estimated = CountMinSketch.createEstimate(0.01, 0.01);
+    t.ok(estimated.epsilon <= 0.01, 'createEstimate() should guarantee at least the requested epsilon');
+    t.ok(estimated.delta <= 0.01, 'createEstimate() should guarantee at least the requested delta');
+
+    for (let i = 0; i < 5000; i++) {
+        sketch.update(`key_${i % 500}`);
+    }
+    sketch.update('target', 25);
+    const bounds = sketch.queryWithBounds('target');
+    t.equal(bounds.estimate, sketch.query('target'), 'estimate should match query()');
+    t.equal(bounds.upperBound, bounds.estimate, 'upperBound should be the estimate');
+    t.equal(bounds.lowerBound, Math.max(0, bounds.estimate - sketch.epsilon * 5025), 'lowerBound should be estimate - epsilon * N');
+    t.ok(bounds.lowerBound <= 25 && 25 <= bounds.upperBound, 'The true count should lie within the bounds');
+    t.equal(bounds.confidence, 1 - Math.exp(-5), 'confidence should be 1 - delta');
+
+    const empty = new CountMinSketch(64, 3).queryWithBounds('missing');
+    t.deepEqual(empty, { estimate: 0, lowerBound: 0, upperBound: 0, confidence: 1 - Math.exp(-3) }, 'Empty sketches should report zero bounds');
+
+    const small = new CountMinSketch(64, 3, { counterType: 'uint8' });
+    small.update('hot', 300);
+    t.equal(small.queryWithBounds('hot').upperBound, Infinity, 'Saturated counters should have an unbounded upper bound');
+
+    const big = new CountMinSketch(64, 3, { counterType: 'biguint64' });
+    big.update('a', 7);
+    t.equal(big.queryWithBounds('a').estimate, 7, 'biguint64 estimates should be reported as numbers');
+    t.end();
+});
+
+test('CountMinSketch - Binary Serialization', (t) => {
+    const originalSketch = new CountMinSketch(1024, 5, { conservative: true });
+    originalSketch.update('testKey1', 50);
+    originalSketch.update('testKey2', 123);
+    originalSketch.update(generateRandomString(20), 77);
+
+    t.comment('--- Dense encoding ---');
+    const dense = originalSketch.toBuffer();
+    t.ok(dense instanceof Uint8Array, 'toBuffer() should return a Uint8Array');
+    t.equal(dense.length, 32 + 1024 * 5 * 4, 'Dense buffer should hold the header and raw counters');
+    t.equal(String.fromCharCode(...dense.subarray(0, 4)), 'CMSK', 'Buffer should start with the magic header');
+
+    const fromDense = CountMinSketch.fromBuffer(dense);
+    t.equal(fromDense.width, originalSketch.width, 'Reconstructed width should match');
+    t.equal(fromDense.depth, originalSketch.depth, 'Reconstructed depth should match');
+    t.equal(fromDense.conservative, true, 'Reconstructed update mode should match');
+    t.equal(fromDense.totalCount, originalSketch.totalCount, 'Reconstructed total count should match');
+    t.deepEqual(Array.from(fromDense.table), Array.from(originalSketch.table), 'Reconstructed table content should match');
+    t.equal(fromDense.query('testKey2'), 123, 'Query on reconstructed sketch should match');
+
+    t.comment('--- Sparse encoding ---');
+    const sparse = originalSketch.toBuffer({ sparse: true });
+    t.ok(sparse.length < 100, `Sparse buffer (${sparse.length} bytes) should be small for a mostly-empty sketch`);
+    const fromSparse = CountMinSketch.fromBuffer(sparse);
+    t.deepEqual(Array.from(fromSparse.table), Array.from(originalSketch.table), 'Sparse round trip should preserve the table');
+
+    const bigCounter = new CountMinSketch(16, 2);
+    bigCounter.update('big', 0xfffffff0);
+    t.equal(CountMinSketch.fromBuffer(bigCounter.toBuffer({ sparse: true })).query('big'), 0xfffffff0, 'Sparse encoding should handle large counters');
+
+    t.comment('--- Buffer and ArrayBuffer inputs ---');
+    const nodeBuffer = Buffer.concat([Buffer.alloc(3), Buffer.from(dense)]).subarray(3);
+    t.equal(CountMinSketch.fromBuffer(nodeBuffer).query('testKey1'), 50, 'fromBuffer() should accept an offset Node.js Buffer');
+    t.equal(CountMinSketch.fromBuffer(dense.slice().buffer).query('testKey1'), 50, 'fromBuffer() should accept an ArrayBuffer');
+
+    t.comment('--- Validation ---');
+    t.throws(() => CountMinSketch.fromBuffer('nope'), /expected a Uint8Array or ArrayBuffer/, 'fromBuffer with string input');
+    t.throws(() => CountMinSketch.fromBuffer(dense.subarray(0, 10)), /truncated header/, 'fromBuffer with truncated header');
+    t.throws(() => CountMinSketch.fromBuffer(dense.subarray(0, dense.length - 1)), /truncated payload/, 'fromBuffer with truncated payload');
+    t.throws(() => CountMinSketch.fromBuffer(Uint8Array.from([...sparse, 0])), /unexpected trailing bytes/, 'fromBuffer with trailing bytes');
+
+    const corrupt = (offset, value) => {
+        const copy = dense.slice();
+        copy[offset] = value;
+        return copy;
+    };
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(0, 0x00)), /bad magic header/, 'fromBuffer with bad magic');
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(4, 99)), /Unsupported CountMinSketch buffer version/, 'fromBuffer with unknown version');
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(5, 0x80)), /unknown flags/, 'fromBuffer with unknown flags');
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(6, 42)), /hash function id/, 'fromBuffer with unknown hash id');
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(8, 3)), /counter width/, 'fromBuffer with unknown counter width');
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(12, 3)), /bad dimensions/, 'fromBuffer with non power of 2 width');
+    t.throws(() => CountMinSketch.fromBuffer(corrupt(5, 0x01 | 0x02)), /sparse index .* out of range|truncated sparse payload|malformed varint/, 'fromBuffer with dense payload flagged as sparse');
+
+    const truncatedVarint = bigCounter.toBuffer({ sparse: true }).slice(0, -1);
+    new DataView(truncatedVarint.buffer).setUint32(28, truncatedVarint.length - 32, true);
+    t.throws(() => CountMinSketch.fromBuffer(truncatedVarint), /truncated sparse payload/, 'fromBuffer with truncated varint');
+
+    t.end();
+});
+
+test('CountMinSketch - Hash Functions and Key Types', (t) => {
+    t.equal(new CountMinSketch(64, 3).hash, 'fnv1a', 'FNV-1a should be the default hash');
+
+    for (const hash of ['fnv1a', 'murmur3', 'xxhash32']) {
+        const sketch = new CountMinSketch(1024, 5, { hash });
+        t.equal(sketch.hash, hash, `Hash name should be recorded (${hash})`);
+        sketch.update('apple', 3);
+        sketch.update(42, 5);
+        sketch.update(new Uint8Array([1, 2, 3]), 7);
+        sketch.update(Buffer.from([1, 2, 3]), 1);
+        t.equal(sketch.query('apple'), 3, `String keys should work (${hash})`);
+        t.equal(sketch.query(42), 5, `Number keys should work (${hash})`);
+        t.equal(sketch.query(-0), sketch.query(0), `-0 and 0 should be the same key (${hash})`);
+        t.equal(sketch.query(Uint8Array.from([1, 2, 3])), 8, `Uint8Array and Buffer keys with equal bytes should match (${hash})`);
+        t.equal(sketch.query('42'), 0, `Numbers and strings should be distinct keys (${hash})`);
+
+        const reconstructed = CountMinSketch.fromJSON(sketch.toJSON());
+        t.equal(reconstructed.hash, hash, `fromJSON() should restore the hash (${hash})`);
+        t.equal(reconstructed.query(42), 5, `Reconstructed sketch should hash keys the same way (${hash})`);
+        t.equal(CountMinSketch.fromBuffer(sketch.toBuffer()).query('apple'), 3, `fromBuffer() should restore the hash (${hash})`);
+    }
+
+    t.throws(() => new CountMinSketch(64, 3, { hash: 'md5' }), /Unknown hash function: md5/, 'Throws for unknown hash names');
+    t.throws(() => new CountMinSketch(64, 3).update({}), /Unsupported key type: object/, 'Throws for unsupported key types');
+
+    t.comment('--- Custom hash functions ---');
+    const calls = [];
+    const customHash = (key, seed) => {
+        calls.push(seed);
+        return (String(key).length * 2654435761 + seed * 40503) >>> 0;
+    };
+    const custom = new CountMinSketch(64, 3, { hash: customHash });
+    t.equal(custom.hash, 'custom', 'Custom hash should be named custom');
+    custom.update('abc', 2);
+    t.deepEqual(calls, [0, 1, 2], 'Custom hash should be called once per row with the row seed');
+    t.equal(custom.query('xyz'), 2, 'Custom hash should decide bucket placement');
+
+    const customJson = custom.toJSON();
+    t.equal(customJson.hash, 'custom', 'toJSON() should record a custom hash');
+    t.throws(() => CountMinSketch.fromJSON(customJson), /custom hash function; pass it as options.hash/, 'fromJSON should require the custom hash');
+    t.equal(CountMinSketch.fromJSON(customJson, { hash: customHash }).query('abc'), 2, 'fromJSON should accept the custom hash');
+    t.throws(() => CountMinSketch.fromBuffer(custom.toBuffer()), /custom hash function/, 'fromBuffer should require the custom hash');
+    t.throws(() => CountMinSketch.fromJSON({ ...customJson, hash: 'murmur3' }, { hash: 'xxhash32' }), /Hash function mismatch/, 'fromJSON should refuse a different hash');
+
+    t.comment('--- Merge compatibility ---');
+    const fnv = new CountMinSketch(64, 3);
+    t.throws(() => fnv.merge(new CountMinSketch(64, 3, { hash: 'murmur3' })), /Cannot merge sketches with different hash functions/, 'Should throw error for merging sketches with different hashes');
+    t.throws(() => custom.merge(new CountMinSketch(64, 3, { hash: (key, seed) => seed })), /Cannot merge sketches with different hash functions/, 'Should throw error for merging sketches with different custom hashes');
+    t.doesNotThrow(() => custom.merge(new CountMinSketch(64, 3, { hash: customHash })), 'Sketches sharing a custom hash should merge');
+
+    t.end();
+});
+
+test('CountMinSketch - Counter Types and Saturation', (t) => {
+    t.equal(new CountMinSketch(64, 3).counterType, 'uint32', 'uint32 should be the default counter type');
+    t.ok(new CountMinSketch(64, 3, { counterType: 'uint8' }).table instanceof Uint8Array, 'uint8 should use a Uint8Array table');
+    t.ok(new CountMinSketch(64, 3, { counterType: 'uint16' }).table instanceof Uint16Array, 'uint16 should use a Uint16Array table');
+    t.ok(new CountMinSketch(64, 3, { counterType: 'float64' }).table instanceof Float64Array, 'float64 should use a Float64Array table');
+    t.ok(new CountMinSketch(64, 3, { counterType: 'biguint64' }).table instanceof BigUint64Array, 'biguint64 should use a BigUint64Array table');
+    t.throws(() => new CountMinSketch(64, 3, { counterType: 'int32' }), /Unknown counter type: int32/, 'Throws for unknown counter types');
+
+    t.comment('--- Saturation ---');
+    for (const [counterType, max] of [['uint8', 255], ['uint16', 65535], ['uint32', 4294967295]]) {
+        for (const depth of [5, 3]) {
+            const sketch = new CountMinSketch(64, depth, { counterType });
+            sketch.update('hot', max - 1);
+            sketch.update('hot', 10);
+            t.equal(sketch.query('hot'), max, `${counterType} counters should saturate instead of wrapping (depth ${depth})`);
+
+            const conservative = new CountMinSketch(64, depth, { counterType, conservative: true });
+            conservative.update('hot', max);
+            conservative.update('hot', 1);
+            t.equal(conservative.query('hot'), max, `${counterType} conservative counters should saturate (depth ${depth})`);
+        }
+        const a = new CountMinSketch(64, 5, { counterType });
+        const b = new CountMinSketch(64, 5, { counterType });
+        a.update('hot', max - 5);
+        b.update('hot', max - 5);
+        a.merge(b);
+        t.equal(a.query('hot'), max, `${counterType} merges should saturate`);
+    }
+
+    t.comment('--- Wide counters ---');
+    const float = new CountMinSketch(64, 5, { counterType: 'float64' });
+    float.update('huge', 2 ** 40);
+    float.update('huge', 2 ** 40);
+    t.equal(float.query('huge'), 2 ** 41, 'float64 counters should hold totals past 2^32');
+
+    const big = new CountMinSketch(64, 5, { counterType: 'biguint64' });
+    big.update('huge', Number.MAX_SAFE_INTEGER);
+    big.update('huge', Number.MAX_SAFE_INTEGER);
+    t.equal(big.query('huge'), 2n * BigInt(Number.MAX_SAFE_INTEGER), 'biguint64 queries should return exact bigints');
+    t.equal(big.query('missing'), 0n, 'biguint64 queries should return 0n for unseen keys');
+    t.ok(big.queryMeanMin('huge') > 0, 'queryMeanMin should work with biguint64 counters');
+    const bigConservative = new CountMinSketch(64, 4, { counterType: 'biguint64', conservative: true });
+    bigConservative.update('a', 3);
+    bigConservative.update('a', 4);
+    t.equal(bigConservative.query('a'), 7n, 'biguint64 conservative update should work');
+    bigConservative.clear();
+    t.equal(bigConservative.query('a'), 0n, 'biguint64 clear should reset counters');
+
+    t.comment('--- Serialization and Merge ---');
+    for (const counterType of ['uint8', 'uint16', 'uint32', 'float64', 'biguint64']) {
+        const sketch = new CountMinSketch(256, 5, { counterType });
+        sketch.update('a', 200);
+        sketch.update('b', 3);
+        const json = JSON.parse(JSON.stringify(sketch));
+        t.equal(json.counterType, counterType, `toJSON() should record the counter type (${counterType})`);
+        const fromJson = CountMinSketch.fromJSON(json);
+        t.equal(fromJson.counterType, counterType, `fromJSON() should restore the counter type (${counterType})`);
+        t.equal(fromJson.query('a'), sketch.query('a'), `fromJSON() should restore counters (${counterType})`);
+        for (const sparse of [false, true]) {
+            const fromBuffer = CountMinSketch.fromBuffer(sketch.toBuffer({ sparse }));
+            t.equal(fromBuffer.counterType, counterType, `fromBuffer() should restore the counter type (${counterType}, sparse=${sparse})`);
+            t.deepEqual(Array.from(fromBuffer.table), Array.from(sketch.table), `fromBuffer() should restore counters (${counterType}, sparse=${sparse})`);
+        }
+    }
+    const fractional = new CountMinSketch(64, 3, { counterType: 'float64' });
+    fractional.update('a', 0.25);
+    t.equal(CountMinSketch.fromBuffer(fractional.toBuffer({ sparse: true })).query('a'), 0.25, 'Sparse float64 encoding should keep fractional counters');
+    t.equal(new CountMinSketch(64, 3, { counterType: 'uint16' }).toBuffer().length, 32 + 64 * 3 * 2, 'Dense buffers should use the counter width');
+
+    t.throws(() => {
+        new CountMinSketch(64, 3).merge(new CountMinSketch(64, 3, { counterType: 'uint16' }));
+    }, /Cannot merge sketches with different counter types/, 'Should throw error for merging sketches with different counter types');
+
+    t.end();
+});
+
+test('CountMinSketch - Batch Update and Query', (t) => {
+    for (const depth of [5, 3]) {
+        for (const conservative of [false, true]) {
+            const label = `depth ${depth}${conservative ? ', conservative' : ''}`;
+            const single = new CountMinSketch(256, depth, { conservative });
+            const batch = new CountMinSketch(256, depth, { conservative });
+            const keys = [];
+            const counts = new Uint32Array(300);
+            for (let i = 0; i < 300; i++) {
+                keys.push(`key_${i % 120}`);
+                counts[i] = (i % 5) + 1;
+                single.update(keys[i], counts[i]);
+            }
+            batch.updateMany(keys, counts);
+            t.deepEqual(Array.from(batch.table), Array.from(single.table), `updateMany should match repeated update (${label})`);
+            t.equal(batch.totalCount, single.totalCount, `updateMany should track the total count (${label})`);
+
+            const out = new Uint32Array(keys.length);
+            const result = batch.queryMany(keys, out);
+            t.equal(result, out, `queryMany should write into the provided array (${label})`);
+            t.ok(keys.every((key, i) => out[i] === single.query(key)), `queryMany should match repeated query (${label})`);
+        }
+    }
+
+    const sketch = new CountMinSketch(256, 5);
+    sketch.updateMany(new Uint32Array([7, 8, 7]));
+    t.equal(sketch.query(7), 2, 'updateMany should accept typed arrays of numeric keys and default counts to 1');
+    sketch.updateMany(['a', 'b'], 4);
+    t.equal(sketch.query('b'), 4, 'updateMany should apply a single count to every key');
+    sketch.updateMany(['a', 'b'], [0, -3]);
+    t.equal(sketch.query('a'), 4, 'updateMany should skip non-positive counts');
+    t.deepEqual(Array.from(sketch.queryMany(['a', 7, 'missing'])), [4, 2, 0], 'queryMany should allocate a Uint32Array when no output is given');
+    t.ok(sketch.queryMany([]) instanceof Uint32Array, 'queryMany should return an empty array for no keys');
+
+    t.throws(() => sketch.updateMany(['a', 'b'], [1]), /Counts length mismatch/, 'Throws for mismatched counts');
+
+    const strictCounts = new CountMinSketch(64, 3, { counterType: 'biguint64' });
+    t.throws(() => strictCounts.update('a', 1.5), /Counts must be integers for 'biguint64' counters, got 1.5/, 'Throws for fractional biguint64 counts');
+    t.equal(strictCounts.totalCount, 0, 'A rejected update should not change the total count');
+    const uint8Counts = new CountMinSketch(64, 3, { counterType: 'uint8' });
+    t.throws(() => uint8Counts.update('a', 2.5), /Counts must be integers for 'uint8' counters, got 2.5/, 'Throws for fractional integer counts');
+    t.throws(() => uint8Counts.updateMany(['a', 'b'], [1, 0.5]), /Counts must be integers for 'uint8' counters, got 0.5/, 'updateMany throws for fractional integer counts');
+    t.equal(uint8Counts.query('a'), 0, 'A rejected updateMany should not change any counter');
+    t.equal(uint8Counts.totalCount, 0, 'A rejected updateMany should not change the total count');
+    t.throws(() => sketch.queryMany(['a', 'b'], new Uint32Array(1)), /Output length too small/, 'Throws for a short output array');
+
+    const big = new CountMinSketch(64, 5, { counterType: 'biguint64' });
+    big.updateMany(['x', 'x']);
+    t.deepEqual(Array.from(big.queryMany(['x'])), [2n], 'queryMany should return bigints for biguint64 counters');
+    const float = new CountMinSketch(64, 5, { counterType: 'float64' });
+    float.updateMany(['x'], [0.5]);
+    t.deepEqual(Array.from(float.queryMany(['x'])), [0.5], 'queryMany should return floats for float64 counters');
+
+    t.end();
+});
+
+test('CountMinSketch - Inner Product and Self-Join Size', (t) => {
+    const a = new CountMinSketch(1024, 5);
+    const b = new CountMinSketch(1024, 5);
+    const trueA = {};
+    const trueB = {};
+    for (let i = 0; i < 200; i++) {
+        const countA = (i % 7) + 1;
+        const countB = (i % 3) + 1;
+        trueA[`k${i}`] = countA;
+        a.update(`k${i}`, countA);
+        if (i % 2 === 0) {
+            trueB[`k${i}`] = countB;
+            b.update(`k${i}`, countB);
+        }
+    }
+    b.update('only_b', 50);
+
+    let trueInner = 0;
+    for (const key in trueB) trueInner += (trueA[key] || 0) * trueB[key];
+    let trueSelf = 0;
+    for (const key in trueA) trueSelf += trueA[key] * trueA[key];
+
+    const inner = CountMinSketch.innerProduct(a, b);
+    t.ok(inner >= trueInner, `Inner product estimate (${inner}) should never be below the true value (${trueInner})`);
+    t.ok(inner <= trueInner + (Math.E / a.width) * a.totalCount * b.totalCount, 'Inner product estimate should be within epsilon * N_a * N_b');
+    t.equal(CountMinSketch.innerProduct(b, a), inner, 'Inner product should be symmetric');
+
+    const self = a.selfJoinSize();
+    t.ok(self >= trueSelf, `Self-join estimate (${self}) should never be below the true F2 (${trueSelf})`);
+    t.ok(self <= trueSelf + (Math.E / a.width) * a.totalCount * a.totalCount, 'Self-join estimate should be within epsilon * N^2');
+
+    const exact = new CountMinSketch(1024, 5);
+    exact.update('x', 3);
+    exact.update('y', 4);
+    t.equal(exact.selfJoinSize(), 25, 'Self-join size should be exact without collisions');
+    t.equal(CountMinSketch.innerProduct(exact, new CountMinSketch(1024, 5)), 0, 'Inner product with an empty sketch should be 0');
+
+    const big = new CountMinSketch(64, 3, { counterType: 'biguint64' });
+    big.update('x', 2 ** 40);
+    t.equal(big.selfJoinSize(), 2n ** 80n, 'biguint64 inner products should be exact bigints');
+
+    t.throws(() => CountMinSketch.innerProduct(a, new CountMinSketch(512, 5)), /Cannot compute the inner product of sketches with different dimensions/, 'Throws for different dimensions');
+    t.throws(() => CountMinSketch.innerProduct(a, new CountMinSketch(1024, 5, { hash: 'murmur3' })), /Cannot compute the inner product of sketches with different hash functions/, 'Throws for different hash functions');
+    const conservative = new CountMinSketch(4, 2, { hash: 'murmur3', conservative: true });
+    conservative.update('a1', 5);
+    conservative.update('b1', 5);
+    t.throws(() => conservative.selfJoinSize(), /Cannot compute the inner product of sketches that use conservative update/, 'selfJoinSize throws for conservative sketches');
+    t.throws(() => CountMinSketch.innerProduct(conservative, new CountMinSketch(4, 2, { hash: 'murmur3', conservative: true })), /that use conservative update/, 'innerProduct throws for conservative sketches');
+
+    t.end();
+});
+
+test('CountMinSketch - Explain and Diagnostics', (t) => {
+    const sketch = new CountMinSketch(64, 4);
+    sketch.update('apple', 5);
+    for (let i = 0; i < 200; i++) {
+        sketch.update(`noise_${i}`);
+    }
+    const explained = sketch.explain('apple');
+    t.equal(explained.estimate, sketch.query('apple'), 'explain estimate should match query');
+    t.equal(explained.rows.length, 4, 'explain should report every row');
+    t.ok(explained.rows.every(({ row, index, counter }, i) =>
+        row === i && index >= 0 && index < 64 && counter === sketch.table[index + i * 64]), 'Each row should report its bucket and counter');
+    t.equal(explained.rows[explained.minRow].counter, explained.estimate, 'minRow should hold the estimate');
+    t.ok(explained.rows.every(({ counter }, i) => counter > explained.estimate || i >= explained.minRow), 'minRow should be the first row holding the minimum');
+
+    const big = new CountMinSketch(64, 3, { counterType: 'biguint64' });
+    big.update('x', 3);
+    t.equal(big.explain('x').estimate, 3n, 'explain should return bigint counters for biguint64 sketches');
+
+    const empty = new CountMinSketch(64, 4).diagnostics();
+    t.equal(empty.fillRatio, 0, 'An empty sketch should have a fill ratio of 0');
+    t.equal(empty.maxCounter, 0, 'An empty sketch should have a max counter of 0');
+    t.equal(empty.estimatedDistinctKeys, 0, 'An empty sketch should hold no distinct keys');
+
+    const stats = sketch.diagnostics();
+    t.equal(stats.width, 64, 'diagnostics should report the width');
+    t.equal(stats.totalCount, 205, 'diagnostics should report the total count');
+    t.equal(stats.rows.length, 4, 'diagnostics should report every row');
+    t.ok(stats.rows.every(({ load }) => load === 205), 'Without conservative update every row should carry the total count');
+    const nonZero = Array.from(sketch.table).filter(counter => counter > 0).length;
+    t.equal(stats.fillRatio, nonZero / sketch.table.length, 'Fill ratio should be the share of nonzero counters');
+    t.equal(stats.maxCounter, Math.max(...sketch.table), 'Max counter should be the largest counter');
+    t.equal(stats.maxCounter, Math.max(...stats.rows.map(row => row.maxCounter)), 'Max counter should be the largest row maximum');
+    t.equal(stats.saturated, 0, 'No counters should be saturated');
+    t.equal(stats.estimatedDistinctKeys, Math.round(-64 * Math.log(1 - stats.fillRatio)), 'Distinct keys should use linear counting');
+
+    const small = new CountMinSketch(4, 2, { counterType: 'uint8' });
+    for (let i = 0; i < 100; i++) {
+        small.update(`key_${i}`, 10);
+    }
+    const full = small.diagnostics();
+    t.equal(full.fillRatio, 1, 'An undersized sketch should be full');
+    t.equal(full.estimatedDistinctKeys, Infinity, 'A full sketch cannot estimate distinct keys');
+    t.equal(full.maxCounter, 255, 'Max counter should report saturation');
+    t.ok(full.saturated > 0, 'Saturated counters should be counted');
+
+    const bigStats = big.diagnostics();
+    t.equal(bigStats.maxCounter, 3, 'biguint64 diagnostics should be reported as numbers');
+    t.equal(bigStats.rows[0].load, 3, 'biguint64 row loads should be reported as numbers');
+
+    t.end();
+});
+
+test('CountMinSketch - Constructor Options', (t) => {
+    const adjustments = [];
+    const messages = [];
+    const options = { onAdjust: info => adjustments.push(info), logger: message => messages.push(message) };
+    const sketch = new CountMinSketch(1000, 5, options);
+    t.equal(sketch.width, 1024, 'Width should still be rounded up by default');
+    t.deepEqual(adjustments, [{ requestedWidth: 1000, width: 1024 }], 'onAdjust should receive the requested and adjusted widths');
+    t.deepEqual(messages, ['Adjusted sketch width from 1000 to next power of 2: 1024'], 'logger should receive the adjustment message');
+
+    new CountMinSketch(1024, 5, options);
+    t.equal(adjustments.length, 1, 'Power of 2 widths should not be reported');
+
+    CountMinSketch.createEstimate(0.01, 0.01, options);
+    t.deepEqual(adjustments[1], { requestedWidth: 272, width: 512 }, 'createEstimate() should report its rounding');
+    t.ok(/estimated width=272 \(adjusted to 512\), depth=5/.test(messages[1]), 'createEstimate() should log its dimensions');
+    t.equal(adjustments.length, 2, 'createEstimate() should report a single adjustment');
+
+    t.throws(() => new CountMinSketch(1000, 5, { strict: true }), /Width must be a power of 2 in strict mode, got 1000/, 'Strict mode should throw instead of rounding');
+    t.equal(new CountMinSketch(1024, 5, { strict: true }).width, 1024, 'Strict mode should accept power of 2 widths');
+    t.equal(CountMinSketch.createEstimate(0.01, 0.01, { strict: true }).width, 512, 'Strict mode should not affect createEstimate()');
+
+    const seeded = new CountMinSketch(1024, 3, { seeds: [11, 22, 33], hash: 'murmur3' });
+    t.deepEqual(seeded.seeds, [11, 22, 33], 'Seeds should be taken from the options');
+    t.equal(seeded.hash, 'murmur3', 'Hash should be taken from the options');
+    seeded.update('key', 4);
+    t.equal(seeded.query('key'), 4, 'Seeded sketches should count normally');
+    t.deepEqual(new CountMinSketch(1024, 3).seeds, [0, 1, 2], 'Seeds should default to 0..depth-1');
+    t.throws(() => new CountMinSketch(1024, 3, { seeds: [1, 2] }), /Seeds must be an array of 3 unsigned 32-bit integers/, 'Throws for the wrong number of seeds');
+    t.throws(() => new CountMinSketch(1024, 2, { seeds: [1, -2] }), /Seeds must be an array of 2 unsigned 32-bit integers/, 'Throws for negative seeds');
+    t.end();
+});
+
+test('CountMinSketch - Fold, Scale and Subtract', (t) => {
+    t.comment('--- Fold ---');
+    const wide = new CountMinSketch(1024, 4, { seeds: [5, 6, 7, 8] });
+    const narrowReference = new CountMinSketch(128, 4, { seeds: [5, 6, 7, 8] });
+    for (let i = 0; i < 2000; i++) {
+        const key = `key_${i % 300}`;
+        wide.update(key, 1 + (i % 3));
+        narrowReference.update(key, 1 + (i % 3));
+    }
+    const folded = wide.fold(128);
+    t.equal(folded.width, 128, 'Folded sketch should have the new width');
+    t.deepEqual(folded.seeds, wide.seeds, 'Folded sketch should keep the seeds');
+    t.deepEqual(Array.from(folded.table), Array.from(narrowReference.table), 'Folding should equal building the sketch at the smaller width');
+    t.equal(folded.totalCount, wide.totalCount, 'Folding should keep the total count');
+    t.equal(wide.width, 1024, 'Folding should not modify the original');
+    t.equal(wide.fold(1024).query('key_7'), wide.query('key_7'), 'Folding to the same width should copy the sketch');
+
+    const saturating = new CountMinSketch(4, 1, { counterType: 'uint8' });
+    saturating.table.fill(200);
+    t.deepEqual(Array.from(saturating.fold(2).table), [255, 255], 'Folded counters should saturate');
+
+    t.throws(() => wide.fold(100), /Fold width must be a power of 2 between 1 and 1024, got 100/, 'Throws for non-power-of-2 widths');
+    t.throws(() => wide.fold(2048), /Fold width must be a power of 2/, 'Throws for wider widths');
+
+    t.comment('--- Merge Across Widths ---');
+    const narrow = new CountMinSketch(128, 4, { seeds: [5, 6, 7, 8] });
+    narrow.update('key_1', 100);
+    narrow.merge(wide);
+    t.equal(narrow.width, 128, 'Merging a wider sketch should fold it first');
+    t.equal(narrow.query('key_1'), 100 + narrowReference.query('key_1'), 'Merged counts should match the folded sketch');
+    t.throws(() => narrow.merge(new CountMinSketch(1024, 5)), /Cannot merge sketches with different dimensions/, 'Throws for different depths');
+    t.throws(() => narrow.merge(new CountMinSketch(1024, 4, { conservative: true })), /different update modes/, 'Throws for incompatible wider sketches');
+    t.equal(narrow.width, 128, 'A failed merge should leave the sketch unchanged');
+
+    const sharedBuffer = new SharedArrayBuffer(CountMinSketch.sharedByteLength(256, 4));
+    const shared = new CountMinSketch(256, 4, { buffer: sharedBuffer });
+    t.throws(() => shared.merge(new CountMinSketch(128, 4)), /Cannot narrow a shared sketch in place/, 'Throws when a shared sketch would be narrowed');
+
+    t.comment('--- Scale ---');
+    const decaying = new CountMinSketch(256, 3);
+    decaying.update('a', 10);
+    decaying.update('b', 3);
+    decaying.scale(0.5);
+    t.equal(decaying.query('a'), 5, 'Scaling should multiply counters');
+    t.equal(decaying.query('b'), 2, 'Integer counters should be rounded to the nearest integer');
+    t.equal(decaying.totalCount, 7, 'Scaling should multiply the total count, rounded like integer counters');
+    const exact = new CountMinSketch(256, 3, { counterType: 'float64' });
+    exact.update('b', 3);
+    exact.scale(0.5);
+    t.equal(exact.query('b'), 1.5, 'float64 counters should decay exactly');
+    t.equal(exact.totalCount, 1.5, 'float64 totals should decay exactly');
+    const growing = new CountMinSketch(256, 3, { counterType: 'uint8' });
+    growing.update('a', 100);
+    growing.scale(3);
+    t.equal(growing.query('a'), 255, 'Scaled counters should saturate');
+    const big = new CountMinSketch(256, 3, { counterType: 'biguint64' });
+    big.update('a', 10);
+    big.scale(0.3);
+    t.equal(big.query('a'), 3n, 'biguint64 counters should be scaled');
+    t.throws(() => decaying.scale(-1), /Scale factor must be a non-negative finite number, got -1/, 'Throws for negative factors');
+    t.throws(() => decaying.scale(NaN), /Scale factor must be a non-negative finite number/, 'Throws for NaN factors');
+
+    t.comment('--- Subtract ---');
+    const snapshot = new CountMinSketch(256, 3);
+    snapshot.update('a', 4);
+    const current = CountMinSketch.fromJSON(snapshot.toJSON());
+    current.update('a', 6);
+    current.update('b', 2);
+    current.subtract(snapshot);
+    t.equal(current.query('a'), 6, 'Subtracting a snapshot should leave the counts added since');
+    t.equal(current.query('b'), 2, 'Keys added since the snapshot should be kept');
+    t.equal(current.totalCount, 8, 'Subtracting should reduce the total count');
+    const emptied = new CountMinSketch(256, 3);
+    emptied.subtract(snapshot);
+    t.equal(emptied.query('a'), 0, 'Subtraction should clamp counters at zero');
+    t.equal(emptied.totalCount, 0, 'Subtraction should clamp the total count at zero');
+    const bigSnapshot = new CountMinSketch(256, 3, { counterType: 'biguint64' });
+    bigSnapshot.update('a', 4);
+    const bigCurrent = new CountMinSketch(256, 3, { counterType: 'biguint64' });
+    bigCurrent.update('a', 1);
+    bigCurrent.subtract(bigSnapshot);
+    t.equal(bigCurrent.query('a'), 0n, 'biguint64 subtraction should clamp at zero');
+    t.throws(() => current.subtract(new CountMinSketch(128, 3)), /Cannot subtract sketches with different dimensions/, 'Throws for different dimensions');
+    const conservative = new CountMinSketch(256, 3, { conservative: true });
+    t.throws(() => conservative.subtract(new CountMinSketch(256, 3, { conservative: true })), /Cannot subtract sketches that use conservative update/, 'Throws for conservative sketches');
+    t.end();
+});
+
+test('CountMinSketch - Diff and Change Detection', (t) => {
+    const lastHour = new CountMinSketch(1024, 4);
+    const thisHour = new CountMinSketch(1024, 4);
+    for (let i = 0; i < 20; i++) {
+        lastHour.update(`page_${i}`, 10);
+        thisHour.update(`page_${i}`, 10);
+    }
+    lastHour.update('spiking', 5);
+    thisHour.update('spiking', 50);
+    lastHour.update('fading', 40);
+    thisHour.update('fading', 10);
+    thisHour.update('new', 30);
+
+    const diff = CountMinSketch.diff(thisHour, lastHour);
+    t.equal(diff.counterType, 'float64', 'diff should use float64 counters');
+    t.deepEqual(diff.seeds, thisHour.seeds, 'diff should keep the seeds');
+    t.equal(diff.totalCount, 290 - 245, 'diff total count should be the difference of the totals');
+    t.ok(Array.from(diff.table).every((value, i) => value === thisHour.table[i] - lastHour.table[i]), 'diff counters should be the per-counter differences');
+    t.ok(Array.from(diff.table).some(value => value < 0), 'diff counters should not be clamped at zero');
+    t.equal(diff.query('spiking'), 45, 'diff should report the growth of a key');
+    t.equal(thisHour.query('spiking'), 50, 'diff should not modify its inputs');
+
+    t.equal(thisHour.relativeChange('spiking', lastHour), 9, 'relativeChange should be (current - baseline) / baseline');
+    t.equal(thisHour.relativeChange('fading', lastHour), -0.75, 'relativeChange should be negative for shrinking keys');
+    t.equal(thisHour.relativeChange('page_3', lastHour), 0, 'relativeChange should be 0 for stable keys');
+    t.equal(thisHour.relativeChange('new', lastHour), Infinity, 'relativeChange should be Infinity for new keys');
+    t.equal(thisHour.relativeChange('absent', lastHour), 0, 'relativeChange should be 0 for keys absent from both');
+
+    const candidates = ['page_1', 'spiking', 'fading', 'new', 'absent'];
+    const changes = thisHour.detectChanges(lastHour, candidates);
+    t.deepEqual(changes.map(change => change.key), ['new', 'spiking'], 'detectChanges should report keys that more than doubled, largest change first');
+    t.deepEqual(changes[1], { key: 'spiking', current: 50, baseline: 5, change: 45, relativeChange: 9 }, 'detectChanges should report both estimates and the change');
+    t.deepEqual(thisHour.detectChanges(lastHour, candidates, { threshold: -0.5 }).map(change => change.key), ['new', 'spiking', 'page_1', 'absent'],
+        'A negative threshold should include stable keys');
+    t.deepEqual(thisHour.detectChanges(lastHour, candidates, { minCount: 40 }).map(change => change.key), ['spiking'], 'minCount should skip rare keys');
+    t.deepEqual(thisHour.detectChanges(lastHour, new Set(['spiking'])).length, 1, 'detectChanges should accept any iterable');
+    t.throws(() => thisHour.detectChanges(lastHour, candidates, { threshold: '2' }), /Threshold must be a number, got 2/, 'Throws for a non-numeric threshold');
+
+    const big = new CountMinSketch(64, 3, { counterType: 'biguint64' });
+    const bigBaseline = new CountMinSketch(64, 3, { counterType: 'biguint64' });
+    big.update('x', 6);
+    bigBaseline.update('x', 2);
+    t.equal(big.relativeChange('x', bigBaseline), 2, 'relativeChange should support biguint64 counters');
+    t.equal(CountMinSketch.diff(big, bigBaseline).query('x'), 4, 'diff should support biguint64 counters');
+    for (const sparse of [false, true]) {
+        const restored = CountMinSketch.fromBuffer(diff.toBuffer({ sparse }));
+        t.deepEqual(Array.from(restored.table), Array.from(diff.table), `diff should round-trip through toBuffer with negative counters (sparse: ${sparse})`);
+        t.equal(restored.totalCount, diff.totalCount, `diff should round-trip through toBuffer with its total count (sparse: ${sparse})`);
+    }
+    const negative = CountMinSketch.diff(lastHour, thisHour);
+    t.ok(negative.totalCount < 0, 'diff total count may be negative');
+    t.equal(CountMinSketch.fromBuffer(negative.toBuffer()).totalCount, negative.totalCount, 'A negative total count should round-trip through toBuffer');
+
+    t.throws(() => CountMinSketch.diff(thisHour, new CountMinSketch(512, 4)), /Cannot diff sketches with different dimensions/, 'diff throws for different widths');
+    t.throws(() => thisHour.relativeChange('x', new CountMinSketch(1024, 4, { seed: 3 })), /Cannot compare sketches with different seeds/, 'relativeChange throws for different seeds');
+    t.throws(() => thisHour.detectChanges(new CountMinSketch(1024, 4, { hash: 'murmur3' }), candidates), /Cannot compare sketches with different hash functions/, 'detectChanges throws for different hashes');
+    const conservative = new CountMinSketch(64, 3, { conservative: true });
+    t.throws(() => CountMinSketch.diff(conservative, new CountMinSketch(64, 3, { conservative: true })), /Cannot diff sketches that use conservative update/, 'diff throws for conservative sketches');
+    t.equal(conservative.relativeChange('x', new CountMinSketch(64, 3, { conservative: true })), 0, 'relativeChange should support conservative sketches');
+
+    t.end();
+});
+
+test('CountMinSketch - Seeding', (t) => {
+    const a = new CountMinSketch(1024, 4, { seed: 42 });
+    const b = new CountMinSketch(1024, 4, { seed: 42 });
+    t.deepEqual(a.seeds, b.seeds, 'The same seed should derive the same row seeds');
+    t.equal(new Set(a.seeds).size, 4, 'Derived row seeds should be distinct');
+    t.notDeepEqual(new CountMinSketch(1024, 4, { seed: 43 }).seeds, a.seeds, 'Different seeds should derive different row seeds');
+    t.ok(a.seeds.every(seed => Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff), 'Derived seeds should be unsigned 32-bit integers');
+
+    const random = new CountMinSketch(1024, 4, { seed: 'random' });
+    t.ok(random.seeds.every(seed => Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff), 'Random seeds should be unsigned 32-bit integers');
+    t.notDeepEqual(random.seeds, new CountMinSketch(1024, 4, { seed: 'random' }).seeds, 'Random seeds should differ between sketches');
+    const cryptoDescriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+    try {
+        t.throws(() => new CountMinSketch(1024, 4, { seed: 'random' }), /seed: 'random' needs globalThis.crypto.getRandomValues/, 'Throws a clear error without Web Crypto');
+    } finally {
+        Object.defineProperty(globalThis, 'crypto', cryptoDescriptor);
+    }
+
+    t.throws(() => new CountMinSketch(1024, 4, { seed: -1 }), /Seed must be an unsigned 32-bit integer or 'random', got -1/, 'Throws for negative seeds');
+    t.throws(() => new CountMinSketch(1024, 4, { seed: 'secret' }), /Seed must be an unsigned 32-bit integer or 'random'/, 'Throws for unknown seed strings');
+    t.throws(() => new CountMinSketch(1024, 4, { seed: 1, seeds: [1, 2, 3, 4] }), /Pass either seed or seeds, not both/, 'Throws for both seed and seeds');
+
+    t.comment('--- Serialization ---');
+    random.update('victim', 9);
+    const json = JSON.parse(JSON.stringify(random));
+    t.deepEqual(json.seeds, random.seeds, 'toJSON() should store the seeds');
+    const restored = CountMinSketch.fromJSON(json);
+    t.deepEqual(restored.seeds, random.seeds, 'fromJSON() should restore the seeds');
+    t.equal(restored.query('victim'), 9, 'Restored sketches should hash keys with the stored seeds');
+    t.throws(() => CountMinSketch.fromJSON({ ...json, seeds: [1, 2] }), /Seeds must be an array of 4 unsigned 32-bit integers/, 'fromJSON() should reject the wrong number of seeds');
+    t.throws(() => CountMinSketch.fromJSON({ ...json, seeds: [1, 2, 3, 2 ** 32] }), /Seeds must be an array of 4/, 'fromJSON() should reject out-of-range seeds');
+    delete json.seeds;
+    t.deepEqual(CountMinSketch.fromJSON(json).seeds, [0, 1, 2, 3], 'fromJSON() should default to sequential seeds when they are missing');
+
+    const binary = random.toBuffer();
+    t.equal(binary[7], 1, 'toBuffer() should use the explicit seed scheme for custom seeds');
+    t.equal(binary.length, 32 + 4 * 4 + 1024 * 4 * 4, 'Explicit seeds should be stored after the header');
+    const fromBinary = CountMinSketch.fromBuffer(binary);
+    t.deepEqual(fromBinary.seeds, random.seeds, 'fromBuffer() should restore the seeds');
+    t.equal(fromBinary.query('victim'), 9, 'Binary round trip should keep estimates');
+    t.deepEqual(CountMinSketch.fromBuffer(random.toBuffer({ sparse: true })).seeds, random.seeds, 'Sparse buffers should keep the seeds');
+    t.equal(new CountMinSketch(64, 3).toBuffer()[7], 0, 'Default seeds should keep the sequential seed scheme');
+    t.throws(() => CountMinSketch.fromBuffer(binary.subarray(0, 40)), /truncated seeds/, 'fromBuffer() should reject truncated seeds');
+
+    t.comment('--- Compatibility ---');
+    t.throws(() => a.merge(new CountMinSketch(1024, 4)), /Cannot merge sketches with different seeds/, 'merge() should reject different seeds');
+    t.throws(() => a.subtract(new CountMinSketch(1024, 4, { seed: 7 })), /Cannot subtract sketches with different seeds/, 'subtract() should reject different seeds');
+    t.throws(() => CountMinSketch.innerProduct(a, random), /Cannot compute the inner product of sketches with different seeds/, 'innerProduct() should reject different seeds');
+    a.update('x', 2);
+    b.update('x', 3);
+    a.merge(b);
+    t.equal(a.query('x'), 5, 'Sketches with the same seed should merge');
+    t.end();
+});
+
 test('CountMinSketch - Input Validations', (t) => {
     t.throws(() => new CountMinSketch(0, 5), /Width and depth must be positive integers/, 'Throws for 0 width');
     t.throws(() => new CountMinSketch(10, -1), /Width and depth must be positive integers/, 'Throws for negative depth');
+    t.throws(() => new CountMinSketch(100.5, 5), /Width and depth must be positive integers, got width=100.5/, 'Throws for non-integer width');
+    t.throws(() => new CountMinSketch(NaN, 5), /Width and depth must be positive integers/, 'Throws for NaN width');
+    t.throws(() => new CountMinSketch(1024, '5'), /Width and depth must be positive integers/, 'Throws for string depth');
+    t.throws(() => new CountMinSketch(2 ** 31, 1), /Width must be at most 1073741824/, 'Throws for oversized width');
+    t.throws(() => new CountMinSketch(2 ** 30, 4), /exceeds the maximum/, 'Throws for oversized tables');
 
     t.throws(() => CountMinSketch.createEstimate(0, 0.01), /Epsilon and delta must be between 0 and 1/, 'Throws for epsilon = 0');
     t.throws(() => CountMinSketch.createEstimate(1.1, 0.01), /Epsilon and delta must be between 0 and 1/, 'Throws for epsilon > 1');
@@ -225,6 +935,49 @@ test('CountMinSketch - Frequency Estimation Accuracy (Monte Carlo)', (t) => {
     t.end();
 });
 
+test('CountMinSketch - Double Hashing Error Bounds (Monte Carlo)', (t) => {
+    const epsilon = 0.001;
+    const delta = 0.01;
+    const numItems = 1000;
+    const updatesPerItem = 100;
+    const N_total_updates = numItems * updatesPerItem;
+
+    for (const hash of ['fnv1a', 'murmur3', 'xxhash32']) {
+        const sketch = CountMinSketch.createEstimate(epsilon, delta, { hash, doubleHashing: true });
+        const items = [];
+        for (let i = 0; i < numItems; i++) {
+            const item = generateRandomString(15) + `_${i}`;
+            items.push(item);
+            sketch.update(item, updatesPerItem);
+        }
+
+        let underestimates = 0;
+        let violations = 0;
+        items.forEach(item => {
+            const estimatedFreq = sketch.query(item);
+            if (estimatedFreq < updatesPerItem) underestimates++;
+            if (estimatedFreq > updatesPerItem + epsilon * N_total_updates) violations++;
+        });
+        const violationRate = violations / numItems;
+        t.equal(underestimates, 0, `Double hashing should never underestimate (${hash})`);
+        t.ok(violationRate <= delta + 0.02, `Violation rate (${(violationRate * 100).toFixed(2)}%) should be <= delta (${delta * 100}%) (plus margin) (${hash})`);
+    }
+
+    t.comment('--- Row indices and compatibility ---');
+    const sketch = new CountMinSketch(1024, 5, { doubleHashing: true });
+    t.equal(sketch.doubleHashing, true, 'Double hashing should be set from options');
+    sketch.update('a_long_key_'.repeat(20), 3);
+    const rows = new Set(Array.from(sketch.scratchHashes, h => h & 1023));
+    t.ok(rows.size > 1, 'Derived row indices should not all collide');
+    t.equal(sketch.query('a_long_key_'.repeat(20)), 3, 'Double hashing sketch should count updates');
+
+    t.equal(CountMinSketch.fromJSON(sketch.toJSON()).doubleHashing, true, 'fromJSON() should restore double hashing');
+    t.equal(CountMinSketch.fromBuffer(sketch.toBuffer()).query('a_long_key_'.repeat(20)), 3, 'fromBuffer() should restore double hashing');
+    t.throws(() => sketch.merge(new CountMinSketch(1024, 5)), /Cannot merge sketches with different hash functions/, 'Should throw error for merging sketches with different hashing modes');
+
+    t.end();
+});
+
 test('CountMinSketch - Loop Unrolling Benefit (Conceptual Check)', (t) => {
     // This is hard to test in isolation without microbenchmarks,
     // but we ensure the code paths are hit.
@@ -0,0 +1,108 @@
+import tape from 'tape';
+import { CountSketch } from '../index.js';
+
+const test = tape;
+
+test('CountSketch - Basic Creation', (t) => {
+    const sketch = new CountSketch(1024, 5);
+    t.equal(sketch.width, 1024, 'Width should be set (and power of 2)');
+    t.equal(sketch.depth, 5, 'Depth should be set');
+    t.ok(sketch.table instanceof Float64Array, 'Table should hold signed counters');
+    t.equal(sketch.table.length, 1024 * 5, 'Table should be allocated');
+
+    const estimated = CountSketch.createEstimate(0.05, 0.01);
+    // width = ceil(3 / 0.0025) = 1200 -> 2048, depth = ceil(ln(100)) = 5
+    t.equal(estimated.width, 2048, 'Estimated width should be ceil(3 / epsilon^2) rounded to a power of 2');
+    t.equal(estimated.depth, 5, 'Estimated depth should be ceil(ln(1 / delta))');
+
+    t.throws(() => new CountSketch(0, 5), /Width and depth must be positive integers/, 'Throws for 0 width');
+    t.throws(() => new CountSketch(1000, 5, { strict: true }), /Width must be a power of 2 in strict mode/, 'Strict mode should throw instead of rounding');
+    const adjustments = [];
+    new CountSketch(1000, 5, { onAdjust: info => adjustments.push(info) });
+    t.deepEqual(adjustments, [{ requestedWidth: 1000, width: 1024 }], 'onAdjust should receive the requested and adjusted widths');
+    t.throws(() => CountSketch.createEstimate(0, 0.01), /Epsilon and delta must be between 0 and 1/, 'Throws for epsilon = 0');
+    t.end();
+});
+
+test('CountSketch - Turnstile Updates', (t) => {
+    const sketch = new CountSketch(4096, 5);
+    sketch.update('connections', 10);
+    sketch.update('connections', -3);
+    t.equal(sketch.query('connections'), 7, 'Decrements should be subtracted');
+    sketch.update('connections', -7);
+    t.equal(sketch.query('connections'), 0, 'Counts should return to zero when every item leaves');
+    sketch.update('debt', -5);
+    t.equal(sketch.query('debt'), -5, 'Net negative counts should be reported');
+    sketch.update('debt', 0);
+    t.equal(sketch.query('debt'), -5, 'Update with count 0 should not change count');
+    t.equal(sketch.totalCount, -5, 'Total count should track the net sum');
+    t.equal(sketch.query('never_seen'), 0, 'Query for a non-existent key should be 0 without collisions');
+
+    t.comment('--- Accuracy on a noisy stream ---');
+    const noisy = new CountSketch(1024, 5);
+    const trueCounts = {};
+    for (let i = 0; i < 2000; i++) {
+        const key = `item_${i % 500}`;
+        const count = (i % 3 === 0) ? -2 : 3;
+        trueCounts[key] = (trueCounts[key] || 0) + count;
+        noisy.update(key, count);
+    }
+    let l2 = 0;
+    for (const key in trueCounts) l2 += trueCounts[key] * trueCounts[key];
+    const bound = 3 * Math.sqrt(l2 / noisy.width);
+    let withinBound = 0;
+    for (const key in trueCounts) {
+        if (Math.abs(noisy.query(key) - trueCounts[key]) <= bound) withinBound++;
+    }
+    t.ok(withinBound / 500 >= 0.95, `Most estimates (${withinBound}/500) should be within 3 * ||f||_2 / sqrt(width) of the truth`);
+
+    t.comment('--- Even depth uses the mean of the middle rows ---');
+    const even = new CountSketch(1024, 4);
+    even.update('x', 6);
+    t.equal(even.query('x'), 6, 'Even depth should still return exact counts without collisions');
+    t.end();
+});
+
+test('CountSketch - Merge and Clear', (t) => {
+    const a = new CountSketch(1024, 5);
+    const b = new CountSketch(1024, 5);
+    a.update('open', 10);
+    b.update('open', -4);
+    b.update('other', 2);
+    a.merge(b);
+    t.equal(a.query('open'), 6, 'Merged counts should be summed');
+    t.equal(a.query('other'), 2, 'Keys from the other sketch should be present');
+    t.equal(a.totalCount, 8, 'Merged total count should be summed');
+
+    t.throws(() => a.merge(new CountSketch(512, 5)), /Cannot merge sketches with different dimensions/, 'Should throw error for merging sketches with different dimensions');
+    t.throws(() => a.merge(new CountSketch(1024, 5, { hash: 'murmur3' })), /Cannot merge sketches with different hash functions/, 'Should throw error for merging sketches with different hashes');
+    t.throws(() => a.merge(new CountSketch(1024, 5, { seed: 1 })), /Cannot merge sketches with different seeds/, 'Should throw error for merging sketches with different seeds');
+
+    a.clear();
+    t.equal(a.query('open'), 0, 'Query after clear should be 0');
+    t.equal(a.totalCount, 0, 'Clear should reset the total count');
+    t.end();
+});
+
+test('CountSketch - JSON Serialization', (t) => {
+    const original = new CountSketch(256, 5, { hash: 'xxhash32', doubleHashing: true, seed: 'random' });
+    original.update('a', 12);
+    original.update('b', -7);
+    original.update(42, 3);
+
+    const json = JSON.parse(JSON.stringify(original));
+    t.equal(json.hash, 'xxhash32', 'Serialized hash should match');
+    t.equal(json.doubleHashing, true, 'Serialized hashing mode should match');
+    t.equal(json.totalCount, 8, 'Serialized total count should match');
+    t.deepEqual(json.seeds, original.seeds, 'Serialized seeds should match');
+
+    const reconstructed = CountSketch.fromJSON(json);
+    t.ok(reconstructed instanceof CountSketch, 'fromJSON() should return a CountSketch instance');
+    t.equal(reconstructed.query('a'), original.query('a'), 'Reconstructed positive count should match');
+    t.equal(reconstructed.query('b'), original.query('b'), 'Reconstructed negative count should match');
+    t.equal(reconstructed.query(42), original.query(42), 'Reconstructed numeric key count should match');
+
+    t.throws(() => CountSketch.fromJSON({ width: 256, depth: 5 }), /Invalid data format/, 'fromJSON with missing table');
+    t.throws(() => CountSketch.fromJSON({ ...json, table: [1, 2, 3] }), /Table length mismatch/, 'fromJSON with table length mismatch');
+    t.end();
+});
@@ -0,0 +1,111 @@
+import tape from 'tape';
+import { DyadicRangeSketch, CountMinSketch } from '../index.js';
+
+const test = tape;
+
+// Helper to count values in [lo, hi] exactly
+function exactRange(values, lo, hi) {
+    let count = 0;
+    for (const value of values) {
+        if (value >= lo && value <= hi) count++;
+    }
+    return count;
+}
+
+test('DyadicRangeSketch - Basic Creation', (t) => {
+    const sketch = new DyadicRangeSketch(16, 1024, 5);
+    t.equal(sketch.bits, 16, 'bits should be set');
+    t.equal(sketch.levels.length, 16, 'Should keep one sketch per level');
+    t.ok(sketch.levels.every(level => level instanceof CountMinSketch), 'Levels should be CountMinSketch instances');
+    t.equal(sketch.maxValue, 65535, 'maxValue should be 2^bits - 1');
+    t.equal(DyadicRangeSketch.createEstimate(8, 0.01, 0.01).levels[0].width, 512, 'createEstimate should size each level');
+    const estimated = DyadicRangeSketch.createEstimate(8, 0.01, 0.01, { hash: 'murmur3' });
+    t.ok(estimated instanceof DyadicRangeSketch, 'createEstimate should return a DyadicRangeSketch instance');
+    t.ok(estimated.levels.every(level => level.width === 512 && level.hash === 'murmur3'), 'createEstimate should size and configure every level');
+    t.throws(() => DyadicRangeSketch.createEstimate(0, 0.01, 0.01), /bits must be an integer between 1 and 32/, 'createEstimate throws for bits = 0');
+
+    t.throws(() => new DyadicRangeSketch(0, 1024, 5), /bits must be an integer between 1 and 32/, 'Throws for bits = 0');
+    t.throws(() => new DyadicRangeSketch(33, 1024, 5), /bits must be an integer between 1 and 32/, 'Throws for bits > 32');
+    t.throws(() => sketch.update(65536), /Value must be an integer between 0 and 65535/, 'Throws for values outside the domain');
+    t.throws(() => sketch.update(1.5), /Value must be an integer/, 'Throws for non-integer values');
+    t.end();
+});
+
+test('DyadicRangeSketch - Range Queries', (t) => {
+    const sketch = new DyadicRangeSketch(12, 4096, 5);
+    const values = [];
+    for (let i = 0; i < 5000; i++) {
+        const value = (i * 7919) % 4096;
+        values.push(value);
+        sketch.update(value);
+    }
+    t.equal(sketch.totalCount, 5000, 'Total count should track every update');
+
+    const ranges = [[0, 4095], [100, 250], [0, 0], [4095, 4095], [1, 4094], [1000, 3000], [513, 1537]];
+    for (const [lo, hi] of ranges) {
+        const exact = exactRange(values, lo, hi);
+        const estimate = sketch.rangeQuery(lo, hi);
+        t.ok(estimate >= exact, `rangeQuery(${lo}, ${hi}) = ${estimate} should never be below the exact count ${exact}`);
+        t.ok(estimate <= exact + 2 * sketch.bits * (Math.E / 4096) * 5000, `rangeQuery(${lo}, ${hi}) should be within 2 * bits * epsilon * N`);
+    }
+    t.equal(sketch.rangeQuery(0, 4095), 5000, 'Full-domain range should be exact');
+    t.equal(sketch.rangeQuery(-100, 1e9), 5000, 'Ranges should be clamped to the domain');
+    t.equal(sketch.rangeQuery(10, 5), 0, 'Empty ranges should be 0');
+    t.equal(sketch.query(values[0]), sketch.rangeQuery(values[0], values[0]), 'query(v) should equal a single-value range');
+
+    const full = new DyadicRangeSketch(32, 256, 4);
+    full.update(0, 2);
+    full.update(2 ** 32 - 1, 3);
+    t.equal(full.rangeQuery(0, 2 ** 32 - 1), 5, '32-bit domains should support the full range');
+    t.equal(full.rangeQuery(2 ** 31, 2 ** 32 - 1), 3, '32-bit domains should support the upper half');
+    t.end();
+});
+
+test('DyadicRangeSketch - Quantiles', (t) => {
+    const sketch = new DyadicRangeSketch(10, 2048, 5);
+    for (let value = 1; value <= 1000; value++) {
+        sketch.update(value);
+    }
+    const median = sketch.quantile(0.5);
+    const p99 = sketch.quantile(0.99);
+    t.ok(Math.abs(median - 500) <= 20, `Median (${median}) should be close to 500`);
+    t.ok(Math.abs(p99 - 990) <= 20, `p99 (${p99}) should be close to 990`);
+    t.ok(sketch.quantile(0) <= sketch.quantile(0.25), 'Quantiles should be monotone');
+    t.equal(sketch.quantile(0), 1, 'quantile(0) should be the smallest value');
+    t.equal(sketch.quantile(1), 1000, 'quantile(1) should be the largest value');
+
+    t.ok(Number.isNaN(new DyadicRangeSketch(10, 64, 3).quantile(0.5)), 'Empty sketches should have NaN quantiles');
+    t.throws(() => sketch.quantile(1.5), /q must be between 0 and 1/, 'Throws for q > 1');
+
+    const big = new DyadicRangeSketch(4, 1024, 4, { counterType: 'biguint64' });
+    for (let value = 0; value < 16; value++) big.update(value, value + 1);
+    t.equal(big.rangeQuery(2, 5), 3 + 4 + 5 + 6, 'biguint64 levels should support range queries');
+    t.equal(big.quantile(0.5), 11, 'biguint64 levels should support quantiles');
+    t.end();
+});
+
+test('DyadicRangeSketch - Merge and Serialization', (t) => {
+    const a = new DyadicRangeSketch(8, 512, 4);
+    const b = new DyadicRangeSketch(8, 512, 4);
+    for (let value = 0; value < 100; value++) a.update(value);
+    for (let value = 100; value < 256; value++) b.update(value, 2);
+
+    a.merge(b);
+    t.equal(a.totalCount, 100 + 156 * 2, 'Merged total count should be summed');
+    t.equal(a.rangeQuery(90, 109), 10 + 20, 'Merged ranges should span both sketches');
+    t.throws(() => a.merge(new DyadicRangeSketch(9, 512, 4)), /Cannot merge range sketches with different domains/, 'Throws for different domains');
+    t.throws(() => a.merge(new DyadicRangeSketch(8, 512, 3)), /Cannot merge sketches with different dimensions/, 'Throws for different level dimensions');
+
+    const json = JSON.parse(JSON.stringify(a));
+    t.equal(json.levels.length, 8, 'Every level should be serialized');
+    const reconstructed = DyadicRangeSketch.fromJSON(json);
+    t.ok(reconstructed instanceof DyadicRangeSketch, 'fromJSON() should return a DyadicRangeSketch instance');
+    t.equal(reconstructed.rangeQuery(90, 109), a.rangeQuery(90, 109), 'Reconstructed range queries should match');
+    t.equal(reconstructed.quantile(0.5), a.quantile(0.5), 'Reconstructed quantiles should match');
+    t.throws(() => DyadicRangeSketch.fromJSON({ bits: 8, levels: json.levels.slice(1) }), /Level count mismatch/, 'fromJSON with missing levels');
+    t.throws(() => DyadicRangeSketch.fromJSON({ bits: 8 }), /Invalid data format/, 'fromJSON with missing levels array');
+
+    a.clear();
+    t.equal(a.rangeQuery(0, 255), 0, 'Clear should reset every level');
+    t.end();
+});
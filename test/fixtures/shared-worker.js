@@ -0,0 +1,15 @@
+import { workerData } from 'node:worker_threads';
+import { CountMinSketch } from '../../index.js';
+
+// Updates a shared sketch from a worker thread: every key gets `count` `rounds` times.
+const { buffer, meta, keys, count, rounds, batch } = workerData;
+const sketch = CountMinSketch.attach(buffer, meta);
+for (let round = 0; round < rounds; round++) {
+    if (batch) {
+        sketch.updateMany(keys, count);
+    } else {
+        for (const key of keys) {
+            sketch.update(key, count);
+        }
+    }
+}
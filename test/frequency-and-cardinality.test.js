@@ -0,0 +1,48 @@
+import tape from 'tape';
+import { FrequencyAndCardinality, CountMinSketch, HyperLogLog } from '../index.js';
+
+const test = tape;
+
+test('FrequencyAndCardinality - Combined Updates', (t) => {
+    const tracker = new FrequencyAndCardinality(1024, 5, { precision: 12, hash: 'murmur3' });
+    t.ok(tracker.sketch instanceof CountMinSketch, 'Should wrap a CountMinSketch');
+    t.ok(tracker.cardinality instanceof HyperLogLog, 'Should wrap a HyperLogLog');
+    t.equal(tracker.cardinality.precision, 12, 'precision should configure the HyperLogLog');
+    t.equal(tracker.cardinality.hash, 'murmur3', 'The hash function should be shared');
+
+    for (let i = 0; i < 1000; i++) {
+        tracker.update(`user_${i % 250}`, 2);
+    }
+    tracker.update('ignored', 0);
+    t.equal(tracker.query('user_7'), 8, 'Frequencies should be counted');
+    t.equal(tracker.totalCount, 2000, 'Total count should be tracked');
+    t.ok(Math.abs(tracker.distinctCount() - 250) <= 10, `Distinct count (${tracker.distinctCount()}) should be close to 250`);
+    t.equal(FrequencyAndCardinality.createEstimate(0.01, 0.01).sketch.width, 512, 'createEstimate should size the sketch');
+    const estimated = FrequencyAndCardinality.createEstimate(0.01, 0.01, { precision: 10, hash: 'murmur3' });
+    t.equal(estimated.cardinality.precision, 10, 'createEstimate should configure the HyperLogLog');
+    t.equal(estimated.cardinality.hash, 'murmur3', 'createEstimate should share the hash function');
+    t.end();
+});
+
+test('FrequencyAndCardinality - Merge and Serialization', (t) => {
+    const a = new FrequencyAndCardinality(512, 4, { precision: 10 });
+    const b = new FrequencyAndCardinality(512, 4, { precision: 10 });
+    a.update('x', 3);
+    b.update('x', 2);
+    b.update('y');
+    a.merge(b);
+    t.equal(a.query('x'), 5, 'Merged frequencies should be summed');
+    t.equal(a.distinctCount(), 2, 'Merged distinct count should cover the union');
+    t.throws(() => a.merge(new FrequencyAndCardinality(512, 4, { precision: 11 })), /Cannot merge HyperLogLogs with different precisions/, 'Throws for different precisions');
+
+    const reconstructed = FrequencyAndCardinality.fromJSON(JSON.parse(JSON.stringify(a)));
+    t.ok(reconstructed instanceof FrequencyAndCardinality, 'fromJSON() should return a FrequencyAndCardinality instance');
+    t.equal(reconstructed.query('x'), 5, 'Reconstructed frequencies should match');
+    t.equal(reconstructed.distinctCount(), 2, 'Reconstructed distinct count should match');
+    t.throws(() => FrequencyAndCardinality.fromJSON({ sketch: a.sketch.toJSON() }), /Invalid data format for FrequencyAndCardinality reconstruction/, 'fromJSON without a HyperLogLog');
+
+    a.clear();
+    t.equal(a.query('x'), 0, 'Clear should reset the sketch');
+    t.equal(a.distinctCount(), 0, 'Clear should reset the HyperLogLog');
+    t.end();
+});
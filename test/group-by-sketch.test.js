@@ -0,0 +1,78 @@
+import tape from 'tape';
+import { GroupBySketch, CountMinSketch } from '../index.js';
+
+const test = tape;
+
+const GROUPS = [['tenant'], ['endpoint', 'tenant'], ['tenant', 'endpoint', 'status']];
+
+test('GroupBySketch - Basic Creation', (t) => {
+    const sketch = new GroupBySketch(GROUPS, 1024, 4);
+    t.equal(sketch.sketches.length, 3, 'Should keep one sketch per group');
+    t.ok(sketch.sketches.every(group => group instanceof CountMinSketch), 'Groups should be CountMinSketch instances');
+    t.deepEqual(sketch.groups[1], ['endpoint', 'tenant'], 'Group attributes should be sorted');
+    t.equal(GroupBySketch.createEstimate([['tenant']], 0.01, 0.01).sketches[0].width, 512, 'createEstimate should size each group');
+    const estimated = GroupBySketch.createEstimate([['tenant'], ['tenant', 'endpoint']], 0.01, 0.01);
+    t.deepEqual(estimated.sketches.map(sketch => sketch.width), [512, 512], 'createEstimate should build one sketch per group');
+    t.throws(() => GroupBySketch.createEstimate([], 0.01, 0.01), /At least one group of attributes is required/, 'createEstimate throws for no groups');
+
+    t.throws(() => new GroupBySketch([], 1024, 4), /At least one group of attributes is required/, 'Throws without groups');
+    t.throws(() => new GroupBySketch([[]], 1024, 4), /Each group must be a non-empty array of attribute names/, 'Throws for empty groups');
+    t.throws(() => new GroupBySketch([['a', 'a']], 1024, 4), /Group repeats an attribute: a, a/, 'Throws for repeated attributes');
+    t.throws(() => new GroupBySketch([['a', 'b'], ['b', 'a']], 1024, 4), /Duplicate group: a, b/, 'Throws for duplicate groups in any order');
+    t.end();
+});
+
+test('GroupBySketch - Update and Query', (t) => {
+    const sketch = new GroupBySketch(GROUPS, 2048, 5);
+    sketch.update({ tenant: 'a', endpoint: '/x', status: 200 }, 3);
+    sketch.update({ tenant: 'a', endpoint: '/x', status: 500 });
+    sketch.update({ tenant: 'a', endpoint: '/y', status: 200 }, 2);
+    sketch.update({ tenant: 'b', endpoint: '/x', status: 200, region: 'eu' }, 4);
+    sketch.update({ tenant: 'b', endpoint: '/x', status: 200 }, 0);
+
+    t.equal(sketch.totalCount, 10, 'Total count should track every record');
+    t.equal(sketch.query({}), 10, 'An empty filter should return the total count');
+    t.equal(sketch.query({ tenant: 'a' }), 6, 'Single-attribute groups should be queryable');
+    t.equal(sketch.query({ tenant: 'a', endpoint: '/x' }), 4, 'Multi-attribute groups should be queryable');
+    t.equal(sketch.query({ endpoint: '/x', tenant: 'a' }), 4, 'Filter attribute order should not matter');
+    t.equal(sketch.query({ tenant: 'b', endpoint: '/x', status: 200 }), 4, 'Full tuples should be queryable');
+    t.equal(sketch.query({ tenant: 'c' }), 0, 'Unseen values should be 0');
+    t.throws(() => sketch.query({ endpoint: '/x' }), /No group tracks the attributes endpoint/, 'Throws for untracked attribute sets');
+    t.throws(() => sketch.update({ tenant: 'a', endpoint: '/x' }), /Record is missing attribute 'status'/, 'Throws for records missing an attribute');
+    t.equal(sketch.totalCount, 10, 'A rejected record should not update any group');
+
+    const keys = new GroupBySketch([['a', 'b'], ['id']], 2048, 5);
+    keys.update({ a: 'x|y', b: 'z', id: 1 });
+    keys.update({ id: 42, a: 1, b: 1 });
+    t.equal(keys.query({ a: 'x', b: 'y|z' }), 0, 'Values containing separators should not collide');
+    t.equal(keys.query({ id: '42' }), 0, 'Numbers and strings should be different values');
+    t.equal(keys.query({ id: 42 }), 1, 'Number values should be queryable');
+    t.end();
+});
+
+test('GroupBySketch - Merge and Serialization', (t) => {
+    const a = new GroupBySketch(GROUPS, 1024, 4, { seed: 9 });
+    const b = new GroupBySketch([['status', 'endpoint', 'tenant'], ['tenant'], ['tenant', 'endpoint']], 1024, 4, { seed: 9 });
+    a.update({ tenant: 'a', endpoint: '/x', status: 200 }, 2);
+    b.update({ tenant: 'a', endpoint: '/x', status: 200 }, 5);
+
+    a.merge(b);
+    t.equal(a.query({ tenant: 'a' }), 7, 'Groups should be merged regardless of their order');
+    t.equal(a.query({ tenant: 'a', endpoint: '/x', status: 200 }), 7, 'Every group should be merged');
+    t.throws(() => a.merge(new GroupBySketch([['tenant']], 1024, 4, { seed: 9 })), /Cannot merge group-by sketches with different groups/, 'Throws for different groups');
+    t.throws(() => a.merge(new GroupBySketch(GROUPS, 1024, 4)), /Cannot merge sketches with different seeds/, 'Throws for incompatible group sketches');
+
+    const json = JSON.parse(JSON.stringify(a));
+    t.deepEqual(json.groups, a.groups, 'Groups should be serialized');
+    const reconstructed = GroupBySketch.fromJSON(json);
+    t.ok(reconstructed instanceof GroupBySketch, 'fromJSON() should return a GroupBySketch instance');
+    t.equal(reconstructed.query({ tenant: 'a', endpoint: '/x' }), 7, 'Reconstructed queries should match');
+    t.throws(() => GroupBySketch.fromJSON({ groups: json.groups, sketches: json.sketches.slice(1) }), /Group count mismatch/, 'fromJSON with missing sketches');
+    t.throws(() => GroupBySketch.fromJSON({ groups: [], sketches: [] }), /Invalid data format/, 'fromJSON without groups');
+    t.throws(() => GroupBySketch.fromJSON({ groups: [['a'], ['a']], sketches: json.sketches.slice(0, 2) }), /Duplicate group: a/, 'fromJSON with duplicate groups');
+
+    a.clear();
+    t.equal(a.query({ tenant: 'a' }), 0, 'Clear should reset every group');
+    t.equal(a.totalCount, 0, 'Clear should reset the total count');
+    t.end();
+});
@@ -0,0 +1,40 @@
+import tape from 'tape';
+import { hashStringFNV1a, hashBytesFNV1a, hashBytesMurmur3, hashBytesXXH32, HASH_FUNCTIONS, resolveHash } from '../src/hash.js';
+
+const test = tape;
+
+const utf8 = (str) => new TextEncoder().encode(str);
+
+test('Hash - FNV-1a', (t) => {
+    t.equal(hashStringFNV1a(''), 2166136261, 'Empty string should hash to the offset basis');
+    t.equal(hashStringFNV1a('a'), 0xe40c292c, 'Known FNV-1a value for "a"');
+    t.equal(hashBytesFNV1a(utf8('foobar')), hashStringFNV1a('foobar'), 'Byte and string FNV-1a should agree on ASCII');
+    t.notEqual(hashStringFNV1a('foobar', 1), hashStringFNV1a('foobar', 0), 'Seed should change the hash');
+    t.end();
+});
+
+test('Hash - MurmurHash3 reference values', (t) => {
+    t.equal(hashBytesMurmur3(utf8(''), 0), 0, 'Empty input with seed 0');
+    t.equal(hashBytesMurmur3(utf8(''), 1), 0x514e28b7, 'Empty input with seed 1');
+    t.equal(hashBytesMurmur3(utf8('hello'), 0), 0x248bfa47, 'Known value for "hello"');
+    t.equal(hashBytesMurmur3(utf8('The quick brown fox jumps over the lazy dog'), 0), 0x2e4ff723, 'Known value for the pangram');
+    t.equal(HASH_FUNCTIONS.murmur3('hello', 0), 0x248bfa47, 'Strings should be hashed as UTF-8');
+    t.end();
+});
+
+test('Hash - xxHash32 reference values', (t) => {
+    t.equal(hashBytesXXH32(utf8(''), 0), 0x02cc5d05, 'Empty input with seed 0');
+    t.equal(hashBytesXXH32(utf8('abc'), 0), 0x32d153ff, 'Known value for "abc"');
+    t.equal(hashBytesXXH32(utf8('Nobody inspects the spammish repetition'), 0), 0xe2293b2f, 'Known value for input longer than 16 bytes');
+    t.equal(HASH_FUNCTIONS.xxhash32('abc', 0), 0x32d153ff, 'Strings should be hashed as UTF-8');
+    t.end();
+});
+
+test('Hash - resolveHash', (t) => {
+    t.equal(resolveHash().name, 'fnv1a', 'Defaults to FNV-1a');
+    t.equal(resolveHash('xxhash32').hashKey, HASH_FUNCTIONS.xxhash32, 'Resolves built-in names');
+    const fn = () => 0;
+    t.deepEqual(resolveHash(fn), { name: 'custom', hashKey: fn }, 'Wraps user functions as custom');
+    t.throws(() => resolveHash('toString'), /Unknown hash function/, 'Rejects inherited property names');
+    t.end();
+});
@@ -0,0 +1,70 @@
+import tape from 'tape';
+import { HyperLogLog } from '../index.js';
+
+const test = tape;
+
+test('HyperLogLog - Basic Creation', (t) => {
+    const hll = new HyperLogLog();
+    t.equal(hll.precision, 14, 'Default precision should be 14');
+    t.equal(hll.registers.length, 16384, 'Should allocate 2^precision registers');
+    t.equal(hll.hash, 'fnv1a', 'Default hash should be FNV-1a');
+    t.equal(hll.count(), 0, 'Empty HyperLogLog should count 0');
+    t.equal(HyperLogLog.createEstimate(0.01).precision, 14, 'createEstimate(0.01) should pick precision 14');
+    t.equal(HyperLogLog.createEstimate(0.5).precision, 4, 'createEstimate should clamp to the minimum precision');
+    t.equal(HyperLogLog.createEstimate(0.0001).precision, 16, 'createEstimate should clamp to the maximum precision');
+
+    t.throws(() => new HyperLogLog(3), /Precision must be an integer between 4 and 16, got 3/, 'Throws for small precision');
+    t.throws(() => new HyperLogLog(17), /Precision must be an integer between 4 and 16/, 'Throws for large precision');
+    t.throws(() => new HyperLogLog(14, { seed: -1 }), /Seed must be an unsigned 32-bit integer/, 'Throws for invalid seeds');
+    t.throws(() => new HyperLogLog(14, { hash: 'md5' }), /Unknown hash function: md5/, 'Throws for unknown hashes');
+    t.throws(() => HyperLogLog.createEstimate(0), /Relative error must be between 0 and 1/, 'Throws for zero relative error');
+    t.end();
+});
+
+test('HyperLogLog - Distinct Counts', (t) => {
+    for (const hash of ['fnv1a', 'murmur3', 'xxhash32']) {
+        for (const n of [100, 5000, 200000]) {
+            const hll = new HyperLogLog(14, { hash });
+            for (let i = 0; i < n; i++) {
+                hll.add(`user_${i}`);
+                hll.add(`user_${i}`); // Duplicates should not be counted
+            }
+            const estimate = hll.count();
+            t.ok(Math.abs(estimate - n) / n < 0.04, `${hash}: estimate ${estimate} should be within 4% of ${n}`);
+        }
+    }
+    const keys = new HyperLogLog(12);
+    for (let i = 0; i < 10000; i++) {
+        keys.add(i);
+        keys.add(new TextEncoder().encode(`bytes_${i}`));
+    }
+    t.ok(Math.abs(keys.count() - 20000) / 20000 < 0.06, 'Numbers and byte arrays should be counted as keys');
+    t.end();
+});
+
+test('HyperLogLog - Merge and Serialization', (t) => {
+    const a = new HyperLogLog(12);
+    const b = new HyperLogLog(12);
+    for (let i = 0; i < 3000; i++) a.add(`key_${i}`);
+    for (let i = 2000; i < 5000; i++) b.add(`key_${i}`);
+    a.merge(b);
+    t.ok(Math.abs(a.count() - 5000) / 5000 < 0.06, `Merged estimate ${a.count()} should approximate the union of 5000`);
+
+    t.throws(() => a.merge(new HyperLogLog(13)), /Cannot merge HyperLogLogs with different precisions/, 'Throws for different precisions');
+    t.throws(() => a.merge(new HyperLogLog(12, { hash: 'murmur3' })), /Cannot merge HyperLogLogs with different hash functions/, 'Throws for different hashes');
+    t.throws(() => a.merge(new HyperLogLog(12, { seed: 5 })), /Cannot merge HyperLogLogs with different seeds/, 'Throws for different seeds');
+
+    const json = JSON.parse(JSON.stringify(a));
+    t.equal(json.precision, 12, 'Serialized precision should match');
+    t.equal(json.registers.length, 4096, 'Every register should be serialized');
+    const reconstructed = HyperLogLog.fromJSON(json);
+    t.ok(reconstructed instanceof HyperLogLog, 'fromJSON() should return a HyperLogLog instance');
+    t.equal(reconstructed.count(), a.count(), 'Reconstructed count should match');
+    t.throws(() => HyperLogLog.fromJSON({ ...json, registers: json.registers.slice(1) }), /Register count mismatch/, 'fromJSON with missing registers');
+    t.throws(() => HyperLogLog.fromJSON({ ...json, registers: json.registers.map(() => 40) }), /Register values must be integers between 0 and 21/, 'fromJSON with invalid registers');
+    t.throws(() => HyperLogLog.fromJSON({}), /Invalid data format for HyperLogLog reconstruction/, 'fromJSON with invalid data');
+
+    a.clear();
+    t.equal(a.count(), 0, 'Clear should reset the count');
+    t.end();
+});
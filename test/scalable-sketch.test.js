@@ -0,0 +1,93 @@
+import tape from 'tape';
+import { ScalableSketch, CountMinSketch } from '../index.js';
+
+const test = tape;
+
+test('ScalableSketch - Basic Creation', (t) => {
+    const scalable = new ScalableSketch(100, 4, { capacity: 1000, conservative: true });
+    t.equal(scalable.layers.length, 1, 'Should start with a single layer');
+    t.ok(scalable.layers[0] instanceof CountMinSketch, 'Layers should be CountMinSketch instances');
+    t.equal(scalable.layers[0].width, 128, 'The first layer width should be rounded up to a power of 2');
+    t.ok(scalable.layers[0].conservative, 'Options should be passed through to the first layer');
+    t.equal(scalable.growthFactor, 2, 'Default growth factor should be 2');
+    t.equal(scalable.layerCapacity, 1000, 'The first layer capacity should be the configured capacity');
+
+    const estimated = ScalableSketch.createEstimate(0.01, 0.01, { capacity: 500 });
+    t.equal(estimated.layers[0].width, 512, 'createEstimate should size the first layer');
+    t.equal(estimated.layers[0].depth, 5, 'createEstimate should size the depth');
+    t.throws(() => ScalableSketch.createEstimate(0.01, 0.01), /capacity must be a positive number/, 'createEstimate throws without a capacity');
+
+    t.throws(() => new ScalableSketch(128, 4), /capacity must be a positive number, got undefined/, 'Throws without a capacity');
+    t.throws(() => new ScalableSketch(128, 4, { capacity: Infinity }), /capacity must be a positive number/, 'Throws for an infinite capacity');
+    t.throws(() => new ScalableSketch(128, 4, { capacity: 10, growthFactor: 3 }), /growthFactor must be a power of 2 of at least 2, got 3/, 'Throws for a growth factor that is not a power of 2');
+    t.throws(() => new ScalableSketch(128, 4, { capacity: 10, growthFactor: 1 }), /growthFactor must be a power of 2/, 'Throws for a growth factor of 1');
+    t.end();
+});
+
+test('ScalableSketch - Growth', (t) => {
+    const scalable = new ScalableSketch(64, 3, { capacity: 100, growthFactor: 4, hash: 'murmur3', seed: 7 });
+    for (let i = 0; i < 100; i++) {
+        scalable.update(`key_${i % 10}`);
+    }
+    t.equal(scalable.layers.length, 1, 'A layer should not grow before its capacity is reached');
+    scalable.update('key_0', 5);
+    t.equal(scalable.layers.length, 2, 'A new layer should be added once the newest layer is full');
+    t.equal(scalable.layers[1].width, 256, 'The new layer should be growthFactor times wider');
+    t.equal(scalable.layerCapacity, 400, 'The new layer should hold growthFactor times more');
+    t.equal(scalable.layers[1].hash, 'murmur3', 'The new layer should keep the hash function');
+    t.deepEqual(scalable.layers[1].seeds, scalable.layers[0].seeds, 'The new layer should keep the seeds');
+    t.equal(scalable.totalCount, 105, 'Total count should sum the layers');
+    t.ok(scalable.query('key_0') >= 15, 'Query should sum the layers');
+    t.equal(scalable.layers[1].query('key_0'), 5, 'New updates should go to the newest layer');
+    scalable.update('key_0', 0);
+    t.equal(scalable.totalCount, 105, 'Non-positive counts should be ignored');
+
+    const exact = new ScalableSketch(1024, 4, { capacity: 1000 });
+    for (let i = 0; i < 20000; i++) {
+        exact.update(`item_${i % 50}`);
+    }
+    t.equal(exact.layers.length, 5, 'Layers should absorb 1000, 2000, 4000, 8000 and the rest');
+    t.ok(Array.from({ length: 50 }, (_, i) => exact.query(`item_${i}`)).every(count => count >= 400),
+        'Estimates should never undercount across layers');
+    t.equal(exact.query('item_7'), 400, 'A sparse stream should be counted exactly');
+    t.end();
+});
+
+test('ScalableSketch - Merge and Serialization', (t) => {
+    const a = new ScalableSketch(128, 4, { capacity: 50 });
+    const b = new ScalableSketch(128, 4, { capacity: 50 });
+    a.update('x', 10);
+    for (let i = 0; i < 200; i++) {
+        b.update(`y_${i % 5}`);
+    }
+    b.update('x', 3);
+    t.equal(b.layers.length, 3, 'b should have grown to three layers');
+    a.merge(b);
+    t.equal(a.layers.length, 3, 'Merge should add missing layers');
+    t.deepEqual(a.layers.map(layer => layer.width), [128, 256, 512], 'Added layers should follow the growth schedule');
+    t.equal(a.query('x'), 13, 'Merged counts should be summed');
+    t.equal(a.totalCount, 213, 'Merged total count should be summed');
+
+    t.throws(() => a.merge(new ScalableSketch(128, 4, { capacity: 60 })), /Cannot merge scalable sketches with different capacities or growth factors/, 'Throws for different capacities');
+    t.throws(() => a.merge(new ScalableSketch(128, 4, { capacity: 50, hash: 'murmur3' })), /Cannot merge sketches with different hash functions/, 'Throws for incompatible layers');
+
+    const json = JSON.parse(JSON.stringify(a));
+    t.equal(json.capacity, 50, 'Serialized capacity should match');
+    t.equal(json.layers.length, 3, 'Every layer should be serialized');
+    const reconstructed = ScalableSketch.fromJSON(json);
+    t.ok(reconstructed instanceof ScalableSketch, 'fromJSON() should return a ScalableSketch instance');
+    t.equal(reconstructed.query('x'), 13, 'Reconstructed counts should match');
+    t.equal(reconstructed.layerCapacity, 200, 'Reconstructed layer capacity should match');
+    reconstructed.update('z', 1000);
+    t.equal(reconstructed.layers.length, 3, 'An update larger than the free capacity should still land in the newest layer');
+    reconstructed.update('z');
+    t.equal(reconstructed.layers.length, 4, 'A reconstructed sketch should keep growing');
+    t.throws(() => ScalableSketch.fromJSON({ capacity: 50, growthFactor: 2, layers: [] }), /Invalid data format for ScalableSketch reconstruction/, 'fromJSON with no layers');
+    t.throws(() => ScalableSketch.fromJSON({ ...json, layers: [json.layers[0], new CountMinSketch(64, 2).toJSON()] }), /Every layer of a ScalableSketch must have the same depth/, 'fromJSON with mismatched depths');
+    t.throws(() => ScalableSketch.fromJSON({ ...json, growthFactor: 3 }), /growthFactor must be a power of 2/, 'fromJSON with an invalid growth factor');
+
+    a.clear();
+    t.equal(a.layers.length, 1, 'Clear should drop all but the first layer');
+    t.equal(a.totalCount, 0, 'Clear should reset the total count');
+    t.end();
+});
@@ -0,0 +1,125 @@
+import tape from 'tape';
+import { Worker } from 'node:worker_threads';
+import { CountMinSketch } from '../index.js';
+
+const test = tape;
+
+// Runs the shared-worker fixture and resolves once the worker exits cleanly
+function runWorker(workerData) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./fixtures/shared-worker.js', import.meta.url), { workerData });
+        worker.once('error', reject);
+        worker.once('exit', code => code === 0 ? resolve() : reject(new Error(`Worker exited with code ${code}`)));
+    });
+}
+
+test('CountMinSketch - Shared Tables', (t) => {
+    const byteLength = CountMinSketch.sharedByteLength(1000, 4);
+    t.equal(byteLength, 8 + 1024 * 4 * 4, 'Byte length should cover the total and the rounded-up table');
+    t.equal(CountMinSketch.sharedByteLength(1024, 4, 'uint8'), 8 + 1024 * 4, 'Byte length should depend on the counter type');
+
+    const buffer = new SharedArrayBuffer(byteLength);
+    const sketch = new CountMinSketch(1024, 4, { buffer });
+    t.equal(sketch.buffer, buffer, 'buffer should be exposed');
+    t.equal(sketch.table.buffer, buffer, 'Table should be backed by the shared buffer');
+    sketch.update('a', 3);
+    sketch.updateMany(['a', 'b'], [2, 5]);
+    t.equal(sketch.query('a'), 5, 'Shared sketches should count normally');
+    t.equal(sketch.totalCount, 10, 'Total count should be tracked in the shared buffer');
+
+    const view = CountMinSketch.attach(buffer, sketch.toMeta());
+    t.equal(view.query('b'), 5, 'Attached views should see existing counts');
+    t.equal(view.totalCount, 10, 'Attached views should see the existing total');
+    view.update('b');
+    t.equal(sketch.query('b'), 6, 'Updates through a view should be visible in the original');
+    t.equal(sketch.totalCount, 11, 'Totals should be shared between views');
+
+    const json = JSON.parse(JSON.stringify(sketch));
+    t.equal(json.totalCount, 11, 'toJSON() should record the shared total');
+    t.equal(CountMinSketch.fromJSON(json).query('a'), 5, 'Shared sketches should round-trip through JSON');
+
+    const decaying = new CountMinSketch(64, 2, { buffer: new SharedArrayBuffer(CountMinSketch.sharedByteLength(64, 2)) });
+    decaying.update('a', 3);
+    decaying.scale(0.5);
+    t.equal(decaying.query('a'), 2, 'scale() should round shared counters');
+    t.equal(decaying.totalCount, 2, 'scale() should round the shared total');
+    const addition = new CountMinSketch(64, 2);
+    addition.update('a', 4);
+    decaying.merge(addition);
+    t.equal(decaying.query('a'), 6, 'merge() should add to shared counters');
+    t.equal(decaying.totalCount, 6, 'merge() should add to the shared total');
+    decaying.subtract(addition);
+    t.equal(decaying.query('a'), 2, 'subtract() should subtract from shared counters');
+    t.equal(decaying.totalCount, 2, 'subtract() should subtract from the shared total');
+
+    view.clear();
+    t.equal(sketch.query('a'), 0, 'clear() should reset the shared table');
+    t.equal(sketch.totalCount, 0, 'clear() should reset the shared total');
+
+    const small = new CountMinSketch(64, 2, { buffer: new SharedArrayBuffer(CountMinSketch.sharedByteLength(64, 2, 'uint8')), counterType: 'uint8' });
+    small.update('hot', 200);
+    small.update('hot', 200);
+    t.equal(small.query('hot'), 255, 'Shared counters should saturate instead of wrapping');
+    const big = new CountMinSketch(64, 2, { buffer: new SharedArrayBuffer(CountMinSketch.sharedByteLength(64, 2, 'biguint64')), counterType: 'biguint64' });
+    big.update('k', 7);
+    t.equal(big.query('k'), 7n, 'biguint64 counters should work on shared tables');
+
+    t.throws(() => new CountMinSketch(1024, 4, { buffer: new ArrayBuffer(byteLength) }), /Shared tables require a SharedArrayBuffer/, 'Throws for non-shared buffers');
+    t.throws(() => new CountMinSketch(1024, 4, { buffer: new SharedArrayBuffer(byteLength - 1) }), /Shared buffer too small: expected at least 16392 bytes, got 16391/, 'Throws for small buffers');
+    t.throws(() => new CountMinSketch(1024, 4, { buffer, counterType: 'float64' }), /Shared tables require an integer counter type, got 'float64'/, 'Throws for float counters');
+    t.throws(() => new CountMinSketch(1024, 4, { buffer, conservative: true }), /Conservative update is not supported on shared tables/, 'Throws for conservative update');
+    t.throws(() => sketch.update('a', 1.5), /Counts on shared tables must be integers, got 1.5/, 'Throws for fractional counts');
+    t.throws(() => CountMinSketch.attach(buffer, {}), /Invalid meta format/, 'Throws for invalid meta');
+    t.throws(() => CountMinSketch.attach(buffer, { ...sketch.toMeta(), hash: 'custom' }), /custom hash function/, 'Throws for custom hashes without the hash option');
+    t.end();
+});
+
+test('CountMinSketch - Concurrent Worker Updates', async (t) => {
+    const WORKERS = 4;
+    const ROUNDS = 50;
+    const keys = Array.from({ length: 200 }, (_, i) => `key_${i}`);
+    const buffer = new SharedArrayBuffer(CountMinSketch.sharedByteLength(4096, 5));
+    const sketch = new CountMinSketch(4096, 5, { buffer, seeds: [3, 5, 7, 11, 13] });
+    const meta = sketch.toMeta();
+
+    const workers = [];
+    for (let w = 0; w < WORKERS; w++) {
+        workers.push(runWorker({ buffer, meta, keys, count: w + 1, rounds: ROUNDS, batch: w % 2 === 1 }));
+    }
+    await Promise.all(workers);
+
+    // Every key received (1 + 2 + 3 + 4) * ROUNDS from the workers
+    const expectedPerKey = (WORKERS * (WORKERS + 1) / 2) * ROUNDS;
+    t.equal(sketch.totalCount, expectedPerKey * keys.length, 'Total count should include every worker update');
+
+    const reference = new CountMinSketch(4096, 5, { seeds: [3, 5, 7, 11, 13] });
+    for (const key of keys) {
+        reference.update(key, expectedPerKey);
+    }
+    t.deepEqual(Array.from(sketch.table), Array.from(reference.table), 'Shared table should match a sequentially built sketch');
+    t.ok(keys.every(key => sketch.query(key) >= expectedPerKey), 'No concurrent update should be lost');
+    t.end();
+});
+
+test('CountMinSketch - Merging While Workers Update', async (t) => {
+    const MERGES = 20;
+    const keys = Array.from({ length: 200 }, (_, i) => `key_${i}`);
+    const seeds = [3, 5, 7, 11, 13];
+    const buffer = new SharedArrayBuffer(CountMinSketch.sharedByteLength(4096, 5));
+    const sketch = new CountMinSketch(4096, 5, { buffer, seeds });
+    const local = new CountMinSketch(4096, 5, { seeds });
+    local.updateMany(keys, 1);
+
+    const worker = runWorker({ buffer, meta: sketch.toMeta(), keys, count: 1, rounds: 200, batch: true });
+    for (let i = 0; i < MERGES; i++) {
+        sketch.merge(local);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    await worker;
+
+    const reference = new CountMinSketch(4096, 5, { seeds });
+    reference.updateMany(keys, 200 + MERGES);
+    t.deepEqual(Array.from(sketch.table), Array.from(reference.table), 'Merges should not lose concurrent worker updates');
+    t.equal(sketch.totalCount, reference.totalCount, 'Merges should not lose concurrent additions to the total');
+    t.end();
+});
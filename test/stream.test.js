@@ -0,0 +1,113 @@
+import tape from 'tape';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { setTimeout as delay } from 'node:timers/promises';
+import { CountMinSketch, TopKSketch } from '../index.js';
+import { createSketchStream, createSketchTransform } from '../src/stream.js';
+import * as streamEntryPoint from 'faster-count-min-sketch/stream';
+
+const test = tape;
+
+test('createSketchStream - Package Entry Point', (t) => {
+    t.equal(streamEntryPoint.createSketchStream, createSketchStream, 'The stream subpath should export createSketchStream');
+    t.equal(streamEntryPoint.createSketchTransform, createSketchTransform, 'The stream subpath should export createSketchTransform');
+    t.end();
+});
+
+test('createSketchStream - Line Mode', async (t) => {
+    const sketch = new CountMinSketch(1024, 4);
+    // Lines split across chunks, Windows line endings, a multi-byte character split across chunks and no final newline
+    const euro = Buffer.from('€\n');
+    const chunks = ['GET /a\nGET /b\r\n', 'GET /', 'a\n\n', euro.subarray(0, 1), euro.subarray(1), Buffer.from('GET /a')];
+    await pipeline(Readable.from(chunks, { objectMode: false }), createSketchStream(sketch));
+
+    t.equal(sketch.query('GET /a'), 3, 'Lines split across chunks and the final partial line should be counted');
+    t.equal(sketch.query('GET /b'), 1, 'Carriage returns should be stripped');
+    t.equal(sketch.query('€'), 1, 'Multi-byte characters split across chunks should be decoded');
+    t.equal(sketch.totalCount, 5, 'Empty lines should be skipped');
+
+    const parsed = new CountMinSketch(1024, 4);
+    const lines = ['alice 3', 'bob 2', '# comment', 'alice 4'].join('\n');
+    await pipeline(Readable.from([lines]), createSketchStream(parsed, {
+        keyFn: line => line.startsWith('#') ? null : line.split(' ')[0],
+        countFn: line => Number(line.split(' ')[1])
+    }));
+    t.equal(parsed.query('alice'), 7, 'keyFn and countFn should receive each line');
+    t.equal(parsed.totalCount, 9, 'Records mapped to null should be skipped');
+    t.end();
+});
+
+test('createSketchStream - Object Mode and Snapshots', async (t) => {
+    const sketch = new TopKSketch(2, 1024, 4);
+    const records = [];
+    for (let i = 0; i < 10; i++) {
+        records.push({ user: `user_${i % 3}`, bytes: i });
+    }
+    const stream = createSketchStream(sketch, { objectMode: true, keyFn: r => r.user, countFn: r => r.bytes, snapshotEvery: 4 });
+    const snapshots = [];
+    stream.on('snapshot', snapshot => snapshots.push(snapshot));
+    await pipeline(Readable.from(records), stream);
+
+    t.equal(sketch.query('user_0'), 0 + 3 + 6 + 9, 'Object records should be counted with countFn');
+    t.equal(snapshots.length, 2, 'A snapshot should be emitted every snapshotEvery records');
+    t.equal(snapshots[0].sketch.totalCount, 0 + 1 + 2 + 3, 'Snapshots should carry toJSON() output at that point');
+    t.equal(TopKSketch.fromJSON(snapshots[1]).query('user_1'), 1 + 4 + 7, 'Snapshots should be restorable');
+
+    t.throws(() => createSketchStream({}), /requires a sketch with update\(\) and toJSON\(\)/, 'Throws for non-sketches');
+    t.throws(() => createSketchStream(sketch, { keyFn: 'user' }), /keyFn and countFn must be functions/, 'Throws for non-function keyFn');
+    t.throws(() => createSketchStream(sketch, { snapshotEvery: -1 }), /must be non-negative/, 'Throws for negative snapshotEvery');
+
+    const failing = createSketchStream(new CountMinSketch(64, 2), { objectMode: true, keyFn: () => { throw new Error('bad record'); } });
+    try {
+        await pipeline(Readable.from([{}]), failing);
+        t.fail('pipeline should reject');
+    } catch (err) {
+        t.equal(err.message, 'bad record', 'Errors from keyFn should fail the stream');
+    }
+    t.end();
+});
+
+test('createSketchStream - Snapshot Interval', async (t) => {
+    const sketch = new CountMinSketch(64, 2);
+    const stream = createSketchStream(sketch, { objectMode: true, snapshotInterval: 10 });
+    const snapshots = [];
+    stream.on('snapshot', snapshot => snapshots.push(snapshot));
+    stream.write('a');
+    await delay(50); // The snapshot timer is unref'd, so keep the event loop alive while it fires
+    t.ok(snapshots.length >= 1, 'Snapshots should be emitted every snapshotInterval milliseconds');
+    t.equal(snapshots[0].totalCount, 1, 'Timed snapshots should carry toJSON() output');
+
+    stream.end();
+    await new Promise(resolve => stream.on('finish', resolve));
+    const count = snapshots.length;
+    await delay(30);
+    t.equal(snapshots.length, count, 'Timed snapshots should stop when the stream finishes');
+    t.end();
+});
+
+test('createSketchTransform - Pass-Through', async (t) => {
+    const sketch = new CountMinSketch(1024, 4);
+    const output = [];
+    await pipeline(
+        Readable.from(['a\nb\n', 'a\n']),
+        createSketchTransform(sketch),
+        async function (source) {
+            for await (const chunk of source) output.push(chunk.toString());
+        }
+    );
+    t.equal(output.join(''), 'a\nb\na\n', 'Chunks should pass through unchanged');
+    t.equal(sketch.query('a'), 2, 'Lines should be counted on the way through');
+
+    const objects = [];
+    const objectSketch = new CountMinSketch(1024, 4);
+    await pipeline(
+        Readable.from([{ id: 'x' }, { id: 'y' }, { id: 'x' }]),
+        createSketchTransform(objectSketch, { objectMode: true, keyFn: r => r.id }),
+        async function (source) {
+            for await (const record of source) objects.push(record.id);
+        }
+    );
+    t.deepEqual(objects, ['x', 'y', 'x'], 'Records should pass through in object mode');
+    t.equal(objectSketch.query('x'), 2, 'Records should be counted on the way through');
+    t.end();
+});
@@ -0,0 +1,97 @@
+import tape from 'tape';
+import { TopKSketch, CountMinSketch } from '../index.js';
+
+const test = tape;
+
+// Helper to build a skewed stream: key_i appears (numKeys - i) times
+function feedSkewedStream(sketch, numKeys) {
+    for (let i = 0; i < numKeys; i++) {
+        sketch.update(`key_${i}`, numKeys - i);
+    }
+}
+
+test('TopKSketch - Basic Creation', (t) => {
+    const topK = new TopKSketch(10, 1024, 5);
+    t.equal(topK.k, 10, 'k should be set');
+    t.ok(topK.sketch instanceof CountMinSketch, 'Should wrap a CountMinSketch');
+    t.equal(topK.sketch.width, 1024, 'Underlying width should be set');
+    t.equal(topK.sketch.depth, 5, 'Underlying depth should be set');
+
+    const estimated = TopKSketch.createEstimate(5, 0.01, 0.01);
+    t.equal(estimated.sketch.width, 512, 'createEstimate should size the underlying sketch');
+    t.throws(() => TopKSketch.createEstimate(0, 0.01, 0.01), /k must be a positive integer/, 'createEstimate throws for invalid k');
+
+    t.throws(() => new TopKSketch(0, 1024, 5), /k must be a positive integer/, 'Throws for k = 0');
+    t.end();
+});
+
+test('TopKSketch - Top K and Heavy Hitters', (t) => {
+    const topK = new TopKSketch(5, 4096, 5);
+    feedSkewedStream(topK, 100);
+
+    const top = topK.topK();
+    t.equal(top.length, 5, 'topK() should return k entries');
+    t.deepEqual(top.map(entry => entry.key), ['key_0', 'key_1', 'key_2', 'key_3', 'key_4'], 'topK() should return the heaviest keys in order');
+    t.equal(top[0].count, 100, 'topK() entries should carry estimated counts');
+    t.equal(topK.topK(2).length, 2, 'topK(n) should limit the result');
+
+    t.comment('--- Candidate eviction ---');
+    topK.update('late_arrival', 1000);
+    t.equal(topK.topK()[0].key, 'late_arrival', 'A heavier late key should enter the candidates');
+    t.equal(topK.heap.length, 5, 'Candidate heap should stay bounded by k');
+    t.notOk(topK.topK().some(entry => entry.key === 'key_4'), 'The smallest candidate should be evicted');
+
+    t.comment('--- Heavy hitters ---');
+    const hitters = topK.heavyHitters(0.1);
+    const threshold = 0.1 * topK.totalCount;
+    t.ok(hitters.length > 0, 'heavyHitters() should find the dominant key');
+    t.ok(hitters.every(entry => entry.count > threshold), 'heavyHitters() should only return keys above phi * N');
+    t.equal(hitters[0].key, 'late_arrival', 'heavyHitters() should be ordered by count');
+    t.throws(() => topK.heavyHitters(0), /phi must be between 0 and 1/, 'Throws for phi = 0');
+    t.throws(() => topK.heavyHitters(1), /phi must be between 0 and 1/, 'Throws for phi = 1');
+
+    t.end();
+});
+
+test('TopKSketch - Merge', (t) => {
+    const a = new TopKSketch(3, 1024, 5);
+    const b = new TopKSketch(3, 1024, 5);
+    a.update('shared', 10);
+    a.update('only_a', 8);
+    b.update('shared', 10);
+    b.update('only_b', 15);
+    b.update('small', 1);
+
+    a.merge(b);
+    t.deepEqual(a.topK().map(entry => entry.key), ['shared', 'only_b', 'only_a'], 'Merged candidates should be re-ranked');
+    t.equal(a.query('shared'), 20, 'Merged counts should be summed');
+    t.equal(a.totalCount, 44, 'Merged total count should be summed');
+
+    const c = new TopKSketch(3, a.sketch.width, 4);
+    t.throws(() => a.merge(c), /Cannot merge sketches with different dimensions/, 'Should throw error for merging sketches with different dimensions');
+
+    t.end();
+});
+
+test('TopKSketch - JSON Serialization', (t) => {
+    const original = new TopKSketch(4, 1024, 5);
+    feedSkewedStream(original, 20);
+
+    const json = JSON.parse(JSON.stringify(original));
+    t.equal(json.k, 4, 'Serialized k should match');
+    t.equal(json.candidates.length, 4, 'Serialized candidates should match');
+    t.equal(json.sketch.width, 1024, 'Serialized sketch should be included');
+
+    const reconstructed = TopKSketch.fromJSON(json);
+    t.ok(reconstructed instanceof TopKSketch, 'fromJSON() should return a TopKSketch instance');
+    t.deepEqual(reconstructed.topK(), original.topK(), 'Reconstructed candidates should match');
+    t.equal(reconstructed.totalCount, original.totalCount, 'Reconstructed total count should match');
+
+    reconstructed.update('key_19', 100);
+    t.equal(reconstructed.topK()[0].key, 'key_19', 'Reconstructed sketch should keep tracking candidates');
+
+    t.throws(() => TopKSketch.fromJSON({ k: 4, sketch: json.sketch }), /Invalid data format/, 'fromJSON with missing candidates');
+    t.throws(() => TopKSketch.fromJSON({ ...json, k: 2 }), /Too many candidates/, 'fromJSON with more candidates than k');
+
+    t.end();
+});
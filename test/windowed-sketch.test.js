@@ -0,0 +1,133 @@
+import tape from 'tape';
+import { WindowedSketch, CountMinSketch } from '../index.js';
+
+const test = tape;
+
+// Helper for a deterministic clock the tests can move by hand
+function createClock(start = 0) {
+    const clock = () => clock.now;
+    clock.now = start;
+    return clock;
+}
+
+test('WindowedSketch - Basic Creation', (t) => {
+    const clock = createClock(12345);
+    const windowed = new WindowedSketch(256, 4, { bucketDuration: 1000, bucketCount: 5, clock });
+    t.equal(windowed.buckets.length, 5, 'Should allocate one sketch per bucket');
+    t.ok(windowed.buckets.every(bucket => bucket instanceof CountMinSketch), 'Buckets should be CountMinSketch instances');
+    t.equal(windowed.windowDuration, 5000, 'Window duration should be bucketCount * bucketDuration');
+    t.equal(windowed.currentBucket, 12, 'Current bucket should come from the clock');
+
+    t.throws(() => new WindowedSketch(256, 4, { bucketCount: 5 }), /bucketDuration and bucketCount must be positive/, 'Throws without bucketDuration');
+    t.throws(() => new WindowedSketch(256, 4, { bucketDuration: 1000, bucketCount: 0 }), /bucketDuration and bucketCount must be positive/, 'Throws for zero buckets');
+    t.throws(() => new WindowedSketch(256, 4, { bucketDuration: 1000, bucketCount: 0.5 }), /bucketCount must be an integer, got 0.5/, 'Throws for fractional bucket counts');
+    t.throws(() => new WindowedSketch(256, 4, { bucketDuration: 1000, bucketCount: 5, clock: 5 }), /clock must be a function/, 'Throws for a non-function clock');
+    t.end();
+});
+
+test('WindowedSketch - Sliding Window', (t) => {
+    const clock = createClock(0);
+    const windowed = new WindowedSketch(256, 4, { bucketDuration: 60000, bucketCount: 5, clock });
+
+    windowed.update('/api', 3); // Minute 0, from the clock
+    windowed.update('/api', 2, 60000); // Minute 1, explicit timestamp
+    windowed.update('/api', 4, 4 * 60000 + 30000); // Minute 4
+    t.equal(windowed.query('/api'), 9, 'Full-window query should sum every bucket');
+    t.equal(windowed.query('/api', { window: 60000 }), 4, 'A one-minute window should only cover the newest bucket');
+    t.equal(windowed.query('/api', { window: 4 * 60000 }), 6, 'A four-minute window should cover the four newest buckets');
+    t.equal(windowed.query('/api', { window: 90000 }), 4, 'Windows should round up to whole buckets');
+    t.equal(windowed.totalCount, 9, 'Total count should cover the whole window');
+
+    t.comment('--- Advancing the clock ---');
+    clock.now = 5 * 60000;
+    windowed.advance();
+    t.equal(windowed.query('/api'), 6, 'Advancing one bucket should expire the oldest bucket');
+    windowed.advance(6 * 60000 + 1);
+    t.equal(windowed.query('/api'), 4, 'advance(now) should accept an explicit time');
+    windowed.advance(60000);
+    t.equal(windowed.query('/api'), 4, 'Advancing backwards should be a no-op');
+    windowed.advance(100 * 60000);
+    t.equal(windowed.query('/api'), 0, 'Advancing past the whole window should expire everything');
+
+    t.comment('--- Late and early events ---');
+    t.equal(windowed.update('/api', 1, 99 * 60000), true, 'Late events inside the window should be accepted');
+    t.equal(windowed.query('/api', { window: 60000 }), 0, 'Late events should land in their own bucket');
+    t.equal(windowed.query('/api'), 1, 'Late events should count towards the window');
+    t.equal(windowed.update('/api', 1, 90 * 60000), false, 'Events older than the window should be dropped');
+    t.equal(windowed.update('/api', 2, 101 * 60000), true, 'Future events should advance the window');
+    t.equal(windowed.currentBucket, 101, 'Current bucket should follow future events');
+
+    t.throws(() => windowed.query('/api', { window: 0 }), /window must be a positive number/, 'Throws for a zero window');
+    windowed.clear();
+    t.equal(windowed.totalCount, 0, 'Clear should reset every bucket');
+    t.end();
+});
+
+test('WindowedSketch - Merge', (t) => {
+    const options = { bucketDuration: 1000, bucketCount: 3, clock: createClock(0) };
+    const a = new WindowedSketch(256, 4, options);
+    const b = new WindowedSketch(256, 4, options);
+    a.update('x', 1, 0);
+    a.update('x', 2, 1000);
+    b.update('x', 5, 2000);
+    b.update('x', 7, 3000);
+
+    a.merge(b);
+    t.equal(a.currentBucket, 3, 'Merge should align to the later bucket');
+    t.equal(a.query('x'), 14, 'Merge should combine overlapping buckets and drop expired ones');
+    t.equal(a.query('x', { window: 1000 }), 7, 'Merged buckets should stay aligned');
+
+    const ahead = new WindowedSketch(256, 4, options);
+    ahead.update('x', 1, 10000);
+    const before = JSON.stringify(b);
+    ahead.merge(b);
+    t.equal(ahead.query('x'), 1, 'Buckets of the other sketch that fell out of the window should be skipped');
+    b.merge(ahead);
+    t.equal(b.currentBucket, 10, 'The merged-into sketch should advance to the later bucket');
+    t.equal(b.query('x'), 1, 'Advancing should drop expired buckets');
+    const behind = new WindowedSketch(256, 4, options);
+    behind.update('x', 4, 2000);
+    const other = WindowedSketch.fromJSON(JSON.parse(before), { clock: options.clock });
+    behind.merge(other);
+    t.equal(JSON.stringify(other), before, 'Merge should not modify the other sketch');
+    t.equal(other.currentBucket, 3, 'Merge should not advance the other sketch');
+    t.equal(behind.query('x'), 4 + 5 + 7, 'Merge should combine the buckets inside the later window');
+
+    const full = { bucketDuration: 10, bucketCount: 3, clock: createClock(0) };
+    const target = new WindowedSketch(256, 4, full);
+    const source = new WindowedSketch(256, 4, full);
+    source.update('x', 1, 0);
+    source.update('x', 10, 10);
+    source.update('x', 100, 20);
+    target.merge(source);
+    t.equal(target.query('x'), source.query('x'), 'Merge should keep the oldest bucket of the window');
+    t.equal(target.query('x'), 111, 'Merge should combine every bucket of a full window');
+
+    const c = new WindowedSketch(256, 4, { ...options, bucketCount: 4 });
+    t.throws(() => a.merge(c), /Cannot merge windowed sketches with different bucket layouts/, 'Should throw error for different layouts');
+    t.end();
+});
+
+test('WindowedSketch - JSON Serialization', (t) => {
+    const clock = createClock(0);
+    const original = new WindowedSketch(128, 3, { bucketDuration: 1000, bucketCount: 4, clock });
+    for (let second = 0; second < 6; second++) {
+        original.update('k', second + 1, second * 1000);
+    }
+
+    const json = JSON.parse(JSON.stringify(original));
+    t.equal(json.buckets.length, 4, 'Serialized buckets should match');
+    t.equal(json.currentBucket, 5, 'Serialized current bucket should match');
+
+    const reconstructed = WindowedSketch.fromJSON(json, { clock });
+    t.ok(reconstructed instanceof WindowedSketch, 'fromJSON() should return a WindowedSketch instance');
+    t.equal(reconstructed.query('k'), original.query('k'), 'Reconstructed full-window query should match');
+    t.equal(reconstructed.query('k', { window: 2000 }), original.query('k', { window: 2000 }), 'Reconstructed partial-window query should match');
+    reconstructed.advance(6000);
+    original.advance(6000);
+    t.equal(reconstructed.query('k'), original.query('k'), 'Reconstructed buckets should expire in the same order');
+
+    t.throws(() => WindowedSketch.fromJSON({ bucketDuration: 1000, buckets: [] }), /Invalid data format/, 'fromJSON with missing fields');
+    t.throws(() => WindowedSketch.fromJSON(json, { clock: 5 }), /clock must be a function/, 'fromJSON with an invalid clock');
+    t.end();
+});